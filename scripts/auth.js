@@ -0,0 +1,263 @@
+import fs from 'fs'
+import { AuthError, ConfigError } from './errors.js'
+
+const cookieFields = [ 'name', 'value', 'url', 'domain', 'path', 'expires', 'httpOnly', 'secure', 'sameSite' ]
+// Whole path segments or query values only, so /catalog-outlet is crawled but /logout and ?action=users/logout are not
+const defaultLogoutPattern = '(^|[/?&=])(log-?out|sign-?out|log-?off)([/?&.#]|$)'
+
+// Replace ${VAR} placeholders with environment values so credentials stay out of login scripts
+function interpolateEnv(value, env) {
+    return String(value).replace(/\$\{(\w+)\}/g, (_match, name) => env[name] ?? '')
+}
+
+// Read a file, wrapping unreadable files and malformed JSON in ConfigError so callers can branch on the type
+function readAuthFile(filePath, label, parse = content => content) {
+    try {
+        return parse(fs.readFileSync(filePath, 'utf-8'))
+    } catch (error) {
+        throw new ConfigError(`Could not read ${label} ${filePath}: ${error.message}`, { cause: error })
+    }
+}
+
+function toCookieData(cookie) {
+    const data = {}
+
+    for (const field of cookieFields) {
+        if (cookie[field] !== undefined && cookie[field] !== null) {
+            data[field] = cookie[field]
+        }
+    }
+
+    // Session cookies are stored with a negative expiry in storage-state files
+    if (typeof data.expires === 'number' && data.expires <= 0) {
+        delete data.expires
+    }
+
+    return data
+}
+
+// Parse a Netscape-format cookies.txt export
+function parseNetscapeCookies(content) {
+    const cookies = []
+
+    for (const rawLine of content.split(/\r?\n/)) {
+        let line = rawLine.trim()
+        let httpOnly = false
+
+        if (line.startsWith('#HttpOnly_')) {
+            line = line.slice('#HttpOnly_'.length)
+            httpOnly = true
+        }
+
+        if (!line || line.startsWith('#')) { continue }
+
+        const [ domain, _includeSubdomains, path, secure, expires, name, ...value ] = line.split('\t')
+
+        if (!name) { continue }
+
+        cookies.push(toCookieData({
+            domain,
+            path,
+            secure: secure === 'TRUE',
+            expires: Number(expires) || undefined,
+            name,
+            value: value.join('\t'),
+            httpOnly,
+        }))
+    }
+
+    return cookies
+}
+
+export function loadCookiesFile(filePath) {
+    const isJson = content => content.trim().startsWith('[') || content.trim().startsWith('{')
+    const parsed = readAuthFile(filePath, 'cookies file', content => (isJson(content) ? JSON.parse(content) : content))
+
+    if (typeof parsed === 'string') {
+        return parseNetscapeCookies(parsed)
+    }
+
+    return (Array.isArray(parsed) ? parsed : parsed.cookies || []).map(toCookieData)
+}
+
+export function loadStorageState(filePath) {
+    const state = readAuthFile(filePath, 'storage state', JSON.parse)
+
+    return {
+        cookies: (state.cookies || []).map(toCookieData),
+        origins: (state.origins || []).map(entry => ({
+            origin: entry.origin,
+            localStorage: entry.localStorage || [],
+        })),
+    }
+}
+
+export function loadLoginScript(filePath, env = process.env) {
+    const script = readAuthFile(filePath, 'login script', JSON.parse)
+
+    if (!script.loginUrl) {
+        throw new ConfigError(`Login script ${filePath} is missing "loginUrl"`)
+    }
+
+    return {
+        loginUrl: script.loginUrl,
+        fields: Object.fromEntries(Object.entries(script.fields || {}).map(([ selector, value ]) => [ selector, interpolateEnv(value, env) ])),
+        submit: script.submit || '',
+        waitForSelector: script.waitForSelector || '',
+        timeout: script.timeout || 30000,
+        logoutPattern: script.logoutPattern || '',
+    }
+}
+
+/**
+ * Create an authenticator that restores a session on every fresh browser and page
+ * @param {Object} options
+ * @param {string} options.cookiesFile - JSON cookie array or Netscape cookies.txt
+ * @param {string} options.storageStateFile - Storage-state JSON with cookies and localStorage per origin
+ * @param {string} options.loginScriptFile - JSON login script (loginUrl, fields, submit, waitForSelector)
+ * @param {Object} options.env - Environment used for ${VAR} placeholders in the login script
+ * @param {Function} options.log - Logger for progress output
+ * @returns {Object|null} Authenticator, or null when no authentication is configured; logging in throws AuthError when it fails
+ */
+export function createAuth({ cookiesFile, storageStateFile, loginScriptFile, env = process.env, log = console.log }) {
+    if (!cookiesFile && !storageStateFile && !loginScriptFile) { return null }
+
+    const storageState = storageStateFile ? loadStorageState(storageStateFile) : { cookies: [], origins: [] }
+    const cookies = [ ...storageState.cookies, ...(cookiesFile ? loadCookiesFile(cookiesFile) : []) ]
+    const loginScript = loginScriptFile ? loadLoginScript(loginScriptFile, env) : null
+    const loginUrl = loginScript ? new URL(loginScript.loginUrl) : null
+    const logoutRegex = new RegExp(loginScript?.logoutPattern || defaultLogoutPattern, 'i')
+    let reloginPromise = null
+
+    const isLoginPage = url => url.origin === loginUrl.origin && url.pathname.replace(/\/$/, '') === loginUrl.pathname.replace(/\/$/, '')
+
+    // Without waitForSelector, a login page that still shows its form means the credentials were rejected
+    const checkLoggedIn = async page => {
+        if (loginScript.waitForSelector) {
+            try {
+                await page.waitForSelector(loginScript.waitForSelector, { timeout: loginScript.timeout })
+            } catch (error) {
+                throw new AuthError(`Login failed: ${loginScript.waitForSelector} did not appear after logging in at ${loginScript.loginUrl}`, { cause: error })
+            }
+
+            return
+        }
+
+        const fieldsShown = await Promise.all(Object.keys(loginScript.fields).map(selector => page.$(selector)))
+        const formShown = fieldsShown.length === 0 || fieldsShown.some(Boolean)
+
+        if (isLoginPage(new URL(page.url())) && formShown) {
+            throw new AuthError(`Login failed: still on the login form at ${page.url()} (check the credentials, or set waitForSelector)`)
+        }
+    }
+
+    const login = async browser => {
+        const page = await browser.newPage()
+
+        try {
+            log(`🔐 Logging in at ${loginScript.loginUrl}...`)
+            await page.goto(loginScript.loginUrl, { waitUntil: 'networkidle2', timeout: loginScript.timeout })
+
+            for (const [ selector, value ] of Object.entries(loginScript.fields)) {
+                await page.locator(selector).fill(value)
+            }
+
+            const navigation = page.waitForNavigation({ waitUntil: 'networkidle2', timeout: loginScript.timeout }).catch(() => null)
+
+            if (loginScript.submit) {
+                await page.click(loginScript.submit)
+            } else {
+                await page.keyboard.press('Enter')
+            }
+
+            await navigation
+            await checkLoggedIn(page)
+
+            log('🔐 Logged in.')
+        } finally {
+            try {
+                await page.close()
+            } catch (_e) {
+                // Ignore close errors
+            }
+        }
+    }
+
+    return {
+        // Cookies live in the browser context, so they are restored after every (re)launch
+        async applyToBrowser(browser) {
+            if (cookies.length > 0) {
+                await browser.setCookie(...cookies)
+                log(`🍪 Restored ${cookies.length} cookie(s)`)
+            }
+
+            if (loginScript) {
+                await login(browser)
+            }
+        },
+
+        // localStorage is per page, so it is seeded before any page script runs
+        async applyToPage(page) {
+            if (storageState.origins.length === 0) { return }
+
+            await page.evaluateOnNewDocument(origins => {
+                const entry = origins.find(item => item.origin === location.origin)
+
+                if (!entry) { return }
+
+                for (const { name, value } of entry.localStorage) {
+                    try {
+                        if (localStorage.getItem(name) === null) {
+                            localStorage.setItem(name, value)
+                        }
+                    } catch (_e) {
+                        // Storage unavailable (e.g. opaque origin)
+                    }
+                }
+            }, storageState.origins)
+        },
+
+        // Workers share one re-login when several notice an expired session at once
+        relogin(browser) {
+            if (!loginScript) {
+                return Promise.reject(new Error('Session expired and no login script is configured'))
+            }
+
+            if (!reloginPromise) {
+                reloginPromise = login(browser).finally(() => {
+                    reloginPromise = null
+                })
+            }
+
+            return reloginPromise
+        },
+
+        isLoginRedirect(finalUrl, requestedUrl) {
+            if (!loginUrl) { return false }
+
+            try {
+                const final = new URL(finalUrl)
+                const requested = new URL(requestedUrl)
+
+                return isLoginPage(final) && !isLoginPage(requested)
+            } catch (_e) {
+                return false
+            }
+        },
+
+        // Never visit logout links with a live session; a custom logoutPattern sees the full URL, the default only the path and query
+        isLogoutUrl(url) {
+            if (loginScript?.logoutPattern) {
+                return logoutRegex.test(url)
+            }
+
+            try {
+                const { pathname, search } = new URL(url)
+
+                return logoutRegex.test(`${pathname}${search}`)
+            } catch (_e) {
+                return false
+            }
+        },
+    }
+}
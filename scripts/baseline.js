@@ -0,0 +1,65 @@
+import fs from 'fs'
+import { violationFindingKey } from './violations.js'
+
+export const BASELINE_VERSION = 1
+
+// A missing baseline means nothing has been accepted yet
+export function readBaseline(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return { version: BASELINE_VERSION, violations: [], pagesWithoutCsp: [] }
+    }
+
+    const baseline = JSON.parse(fs.readFileSync(filePath, 'utf-8'))
+
+    if (baseline.version !== BASELINE_VERSION) {
+        throw new Error(`unsupported baseline version ${baseline.version}`)
+    }
+
+    return baseline
+}
+
+// Sorted so the committed file only changes when the accepted findings do
+export function writeBaseline(filePath, { baseUrl, violations, pagesWithoutCsp }) {
+    const baseline = {
+        version: BASELINE_VERSION,
+        baseUrl,
+        violations: [ ...new Set(violations.map(violationFindingKey)) ].sort(),
+        pagesWithoutCsp: [ ...new Set(pagesWithoutCsp) ].sort(),
+    }
+
+    fs.writeFileSync(filePath, `${JSON.stringify(baseline, null, 2)}\n`)
+
+    return baseline
+}
+
+/**
+ * Compare a run's findings with the accepted baseline
+ * @param {Object} baseline - Baseline from readBaseline()
+ * @param {Object[]} violations - Violations from this run
+ * @param {string[]} pagesWithoutCsp - Pages without a CSP header in this run
+ * @returns {Object} New and accepted findings, plus baseline entries no longer seen
+ */
+export function compareToBaseline(baseline, violations, pagesWithoutCsp) {
+    const acceptedViolations = new Set(baseline.violations)
+    const acceptedPages = new Set(baseline.pagesWithoutCsp)
+    const findings = new Map()
+
+    for (const violation of violations) {
+        const key = violationFindingKey(violation)
+        const finding = findings.get(key) || { key, pages: new Set() }
+
+        finding.pages.add(violation.url)
+        findings.set(key, finding)
+    }
+
+    const summarize = ({ key, pages }) => ({ key, pageCount: pages.size, samplePage: pages.values().next().value })
+    const allFindings = Array.from(findings.values())
+
+    return {
+        newViolations: allFindings.filter(finding => !acceptedViolations.has(finding.key)).map(summarize),
+        acceptedViolations: allFindings.filter(finding => acceptedViolations.has(finding.key)).map(summarize),
+        resolvedViolations: baseline.violations.filter(key => !findings.has(key)),
+        newPagesWithoutCsp: pagesWithoutCsp.filter(url => !acceptedPages.has(url)),
+        acceptedPagesWithoutCsp: pagesWithoutCsp.filter(url => acceptedPages.has(url)),
+    }
+}
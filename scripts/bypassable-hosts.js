@@ -0,0 +1,54 @@
+// Hosts that let an attacker run script under a host allowlist, after Google's CSP Evaluator lists.
+// `*.` entries cover every subdomain. Reasons:
+//   jsonp          - serves JSONP endpoints whose callback parameter runs attacker-chosen code
+//   angular        - hosts old AngularJS builds whose template expressions bypass the policy
+//   arbitrary-code - serves files anyone can publish (npm packages, repositories, tag containers, buckets)
+export const bypassableHosts = [
+    // JSONP
+    { host: 'www.google.com', reason: 'jsonp' },
+    { host: 'google.com', reason: 'jsonp' },
+    { host: 'accounts.google.com', reason: 'jsonp' },
+    { host: 'translate.google.com', reason: 'jsonp' },
+    { host: 'cse.google.com', reason: 'jsonp' },
+    { host: 'www.googleapis.com', reason: 'jsonp' },
+    { host: 'maps.googleapis.com', reason: 'jsonp' },
+    { host: 'translate.googleapis.com', reason: 'jsonp' },
+    { host: 'www.google-analytics.com', reason: 'jsonp' },
+    { host: 'googleads.g.doubleclick.net', reason: 'jsonp' },
+    { host: 'www.googleadservices.com', reason: 'jsonp' },
+    { host: 'api.vk.com', reason: 'jsonp' },
+    { host: 'api.twitter.com', reason: 'jsonp' },
+    { host: 'suggest.taobao.com', reason: 'jsonp' },
+    { host: 'wb.amap.com', reason: 'jsonp' },
+    { host: 'detector.alicdn.com', reason: 'jsonp' },
+    // AngularJS
+    { host: 'ajax.googleapis.com', reason: 'angular' },
+    { host: 'www.gstatic.com', reason: 'angular' },
+    { host: 'gstatic.com', reason: 'angular' },
+    { host: 'code.angularjs.org', reason: 'angular' },
+    { host: 'ajax.aspnetcdn.com', reason: 'angular' },
+    { host: 'oss.maxcdn.com', reason: 'angular' },
+    { host: 'yastatic.net', reason: 'angular' },
+    { host: 'yandex.st', reason: 'angular' },
+    { host: 'cdn.shopify.com', reason: 'angular' },
+    // Anyone can publish here
+    { host: 'cdnjs.cloudflare.com', reason: 'arbitrary-code' },
+    { host: 'cdn.jsdelivr.net', reason: 'arbitrary-code' },
+    { host: 'unpkg.com', reason: 'arbitrary-code' },
+    { host: 'raw.githubusercontent.com', reason: 'arbitrary-code' },
+    { host: '*.github.io', reason: 'arbitrary-code' },
+    { host: 'www.googletagmanager.com', reason: 'arbitrary-code' },
+    { host: '*.googleusercontent.com', reason: 'arbitrary-code' },
+    { host: '*.appspot.com', reason: 'arbitrary-code' },
+    { host: '*.firebaseapp.com', reason: 'arbitrary-code' },
+    { host: '*.web.app', reason: 'arbitrary-code' },
+    { host: '*.herokuapp.com', reason: 'arbitrary-code' },
+    { host: '*.netlify.app', reason: 'arbitrary-code' },
+    { host: '*.vercel.app', reason: 'arbitrary-code' },
+    { host: '*.s3.amazonaws.com', reason: 'arbitrary-code' },
+    { host: '*.cloudfront.net', reason: 'arbitrary-code' },
+    { host: '*.blob.core.windows.net', reason: 'arbitrary-code' },
+    { host: '*.azureedge.net', reason: 'arbitrary-code' },
+    { host: '*.akamaihd.net', reason: 'arbitrary-code' },
+    { host: '*.rackcdn.com', reason: 'arbitrary-code' },
+]
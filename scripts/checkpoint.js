@@ -0,0 +1,31 @@
+import fs from 'fs'
+import path from 'path'
+
+export const CHECKPOINT_VERSION = 1
+
+// Write through a temp file so a crash mid-write never leaves a truncated checkpoint
+export function writeCheckpoint(filePath, state) {
+    const tempFile = `${filePath}.tmp`
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+    fs.writeFileSync(tempFile, JSON.stringify({ version: CHECKPOINT_VERSION, savedAt: new Date().toISOString(), ...state }))
+    fs.renameSync(tempFile, filePath)
+}
+
+export function readCheckpoint(filePath) {
+    const state = JSON.parse(fs.readFileSync(filePath, 'utf-8'))
+
+    if (state.version !== CHECKPOINT_VERSION) {
+        throw new Error(`Unsupported checkpoint version ${state.version} in ${filePath}`)
+    }
+
+    return state
+}
+
+export function removeCheckpoint(filePath) {
+    try {
+        fs.unlinkSync(filePath)
+    } catch (_e) {
+        // Already removed
+    }
+}
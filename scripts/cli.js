@@ -0,0 +1,125 @@
+import readline from 'readline'
+import { CspCrawlerError } from './errors.js'
+import { parseIntOrThrow } from './script-utils.js'
+
+// Prompt helper
+export function prompt(question) {
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout,
+    })
+
+    return new Promise(resolve => {
+        rl.question(question, answer => {
+            rl.close()
+            resolve(answer.toLowerCase().trim())
+        })
+    })
+}
+
+export async function askYesNo(question) {
+    const answer = await prompt(`${question} (y/n): `)
+
+    return answer === 'y' || answer === 'yes'
+}
+
+/**
+ * Print the crawl settings and ask before starting; the `confirm` callback of crawlSite
+ * @param {Object} config - Resolved config
+ * @param {string} action - Action description (e.g. "VALIDATE Content Security Policy")
+ * @returns {Promise<boolean>} True when the user answered yes
+ */
+export async function confirmCrawl(config, action) {
+    console.log('\n📋 Crawl Configuration:')
+    console.log(`   Action: ${action}`)
+    console.log(`   URL: ${config.baseUrl}`)
+    console.log(`   Max Pages: ${config.maxPages}`)
+    console.log(`   Max Links Per Page: ${config.maxLinksPerPage}`)
+    console.log(`   Max Depth: ${config.maxDepth}`)
+    console.log(`   Concurrency: ${config.concurrency}`)
+    console.log(`   Max Retries: ${config.maxRetries}`)
+    console.log(`   Delay: ${config.delay}ms`)
+    console.log(`   Headless: ${config.headless}`)
+    if (config.excludePattern) {
+        console.log(`   Exclude Pattern: ${config.excludePattern}`)
+    }
+
+    if (config.includePattern) {
+        console.log(`   Include Pattern: ${config.includePattern}`)
+    }
+
+    if (config.allowedHosts.length > 0) {
+        console.log(`   Allowed Hosts: ${config.allowedHosts.join(', ')}`)
+    }
+
+    if (config.sitemap) {
+        console.log('   Sitemap Discovery: enabled')
+    }
+
+    if (config.urlsFile) {
+        console.log(`   URLs File: ${config.urlsFile}`)
+    }
+
+    for (const seedUrl of config.seedUrls) {
+        console.log(`   Seed URL: ${seedUrl}`)
+    }
+
+    if (!config.followLinks) {
+        console.log('   Follow Links: disabled')
+    }
+
+    const authSources = [ config.cookiesFile, config.storageStateFile, config.loginScriptFile ].filter(Boolean)
+
+    if (authSources.length > 0) {
+        console.log(`   Authentication: ${authSources.join(', ')}`)
+    }
+
+    if (config.resumeFile) {
+        console.log(`   Resume From: ${config.resumeFile}`)
+    }
+
+    if (config.interact) {
+        console.log(`   Interactions: up to ${config.maxInteractions} per page${config.interactionSelectors.length > 0 ? ` (+${config.interactionSelectors.length} custom selector(s))` : ''}`)
+    }
+
+    const answer = await prompt('\nAre you ready to proceed? (y/n): ')
+
+    return answer === 'y' || answer === 'yes'
+}
+
+// The first Ctrl+C stops the crawl after the current pages (and saves a checkpoint); the second exits at once
+export function abortOnSigint() {
+    const controller = new AbortController()
+
+    const sigintHandler = () => {
+        if (controller.signal.aborted) {
+            process.exit(1)
+        }
+
+        controller.abort()
+    }
+
+    process.on('SIGINT', sigintHandler)
+
+    return {
+        signal: controller.signal,
+        dispose: () => process.removeListener('SIGINT', sigintHandler),
+    }
+}
+
+// Library errors are expected (bad config, declined prompt) and get one line; anything else keeps its stack trace
+export function runCli(main) {
+    return main().catch(error => {
+        console.error(error instanceof CspCrawlerError ? `❌ ${error.message}` : error)
+        process.exit(1)
+    })
+}
+
+export function parseIntOrExit(raw, name) {
+    try {
+        return parseIntOrThrow(raw, name)
+    } catch (error) {
+        console.error(`❌ ${error.message}`)
+        process.exit(1)
+    }
+}
@@ -1,45 +1,16 @@
 import puppeteer from 'puppeteer'
-import readline from 'readline'
-import { getCommonConfig } from './script-utils.js'
-
-// Confirmation helper function
-function prompt(question) {
-    const rl = readline.createInterface({
-        input: process.stdin,
-        output: process.stdout,
-    })
-
-    return new Promise(resolve => {
-        rl.question(question, answer => {
-            rl.close()
-            resolve(answer.toLowerCase().trim())
-        })
-    })
-}
-
-async function confirmCrawl(config, action) {
-    console.log('\n📋 Crawl Configuration:')
-    console.log(`   Action: ${action}`)
-    console.log(`   URL: ${config.baseUrl}`)
-    console.log(`   Max Pages: ${config.maxPages}`)
-    console.log(`   Max Links Per Page: ${config.maxLinksPerPage}`)
-    console.log(`   Max Depth: ${config.maxDepth}`)
-    console.log(`   Concurrency: ${config.concurrency}`)
-    console.log(`   Max Retries: ${config.maxRetries}`)
-    console.log(`   Delay: ${config.delay}ms`)
-    console.log(`   Headless: ${config.headless}`)
-    if (config.excludePattern) {
-        console.log(`   Exclude Pattern: ${config.excludePattern}`)
-    }
-
-    const answer = await prompt('\nAre you ready to proceed? (y/n): ')
-
-    return answer === 'y' || answer === 'yes'
-}
+import { resolveConfig } from './script-utils.js'
+import { resolveLogger } from './logger.js'
+import { CheckpointError, CrawlAbortedError, CrawlCancelledError } from './errors.js'
+import { createEventBus, loadPluginConfig, validatePlugin } from './plugins.js'
+import { createScope, summarizeHosts } from './scope.js'
+import { discoverSitemapUrls } from './sitemap.js'
+import { loadSeedUrl, loadUrlsFile } from './seeds.js'
+import { createAuth } from './auth.js'
+import { readCheckpoint, removeCheckpoint, writeCheckpoint } from './checkpoint.js'
+import { DEFAULT_INTERACTION_SELECTORS, runInteractions } from './interactions.js'
 
 const trackingParams = [ 'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'ref', 'fbclid', 'gclid' ]
-const excludedExtensions = [ '.pdf', '.ics', '.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg', '.ico', '.bmp', '.tif', '.tiff', '.avif' ]
-const excludedProtocols = [ 'mailto:', 'tel:' ]
 
 function normalizeUrl(urlString) {
     try {
@@ -66,59 +37,164 @@ function normalizeUrl(urlString) {
     }
 }
 
+// Build a Cookie header from the browser's cookies that apply to a URL
+function getCookieHeader(cookies, urlString) {
+    const url = new URL(urlString)
+
+    return cookies
+        .filter(cookie => {
+            const domain = cookie.domain.replace(/^\./, '')
+            const domainMatches = url.hostname === domain || (cookie.domain.startsWith('.') && url.hostname.endsWith(`.${domain}`))
+
+            return domainMatches
+                && url.pathname.startsWith(cookie.path || '/')
+                && (!cookie.secure || url.protocol === 'https:')
+        })
+        .map(cookie => `${cookie.name}=${cookie.value}`)
+        .join('; ')
+}
+
+// Fetch a document outside the browser so its response headers can be rewritten before the page sees them
+async function fulfillDocument(request, page, transformHeaders) {
+    const headers = { ...request.headers() }
+    const cookieHeader = getCookieHeader(await page.browserContext().cookies(), request.url())
+
+    if (cookieHeader) {
+        headers.cookie = cookieHeader
+    }
+
+    const response = await fetch(request.url(), {
+        method: request.method(),
+        headers,
+        body: request.postData(),
+        redirect: 'manual',
+        // Same limit as page.goto, so a slow document cannot hold the worker forever
+        signal: AbortSignal.timeout(30000),
+    })
+    const responseHeaders = {}
+
+    response.headers.forEach((value, name) => {
+        responseHeaders[name] = value
+    })
+
+    // fetch() has already decoded the body, so the original encoding and length no longer apply
+    delete responseHeaders['content-encoding']
+    delete responseHeaders['content-length']
+    delete responseHeaders['set-cookie']
+
+    const setCookies = response.headers.getSetCookie?.() || []
+
+    if (setCookies.length > 0) {
+        responseHeaders['set-cookie'] = setCookies
+    }
+
+    await request.respond({
+        status: response.status,
+        headers: transformHeaders(responseHeaders, request.url()),
+        body: Buffer.from(await response.arrayBuffer()),
+    })
+}
+
 /**
- * Shared web crawler utility for CSP analysis
- * @param {Object} options - Crawler configuration
- * @param {string} options.baseUrl - Starting URL
- * @param {number} options.maxPages - Maximum pages to crawl
- * @param {number} options.maxLinksPerPage - Maximum links to extract per page
- * @param {number} options.maxDepth - Maximum crawl depth
- * @param {boolean} options.headless - Run browser headless
- * @param {number} options.concurrency - Number of concurrent worker pages
- * @param {number} options.maxRetries - Maximum retries per page
- * @param {number} options.delay - Delay between requests per worker (ms)
- * @param {boolean} options.quiet - Suppress verbose output
+ * Shared web crawler utility for CSP analysis; it never reads argv, prompts, exits or writes to the console itself
+ * @param {Object} config - Crawl settings in the getCommonConfig shape; missing fields get their defaults (see resolveConfig)
+ * @param {string} config.baseUrl - Starting URL
+ * @param {number} config.maxPages - Maximum pages to crawl
+ * @param {number} config.maxLinksPerPage - Maximum links to extract per page
+ * @param {number} config.maxDepth - Maximum crawl depth
+ * @param {boolean} config.headless - Run browser headless
+ * @param {number} config.concurrency - Number of concurrent worker pages
+ * @param {number} config.maxRetries - Maximum retries per page
+ * @param {number} config.delay - Delay between requests per worker (ms)
+ * @param {boolean} config.sitemap - Seed the queue from robots.txt and sitemap.xml
+ * @param {string} config.urlsFile - Seed the queue from a newline list, JSON array or HTML file
+ * @param {string[]} config.seedUrls - Seed the queue from the links listed on these pages
+ * @param {boolean} config.followLinks - Enqueue links found on visited pages (default: true)
+ * @param {string[]} config.allowedHosts - Hostnames or "*.domain" wildcards crawled besides the base host (see scope.js)
+ * @param {string} config.includePattern - Regex a URL must match to be crawled; the start URL is always visited
+ * @param {string} config.cookiesFile - Cookies to restore before crawling (JSON or cookies.txt)
+ * @param {string} config.storageStateFile - Storage-state JSON (cookies and localStorage) to restore before crawling
+ * @param {string} config.loginScriptFile - JSON login script run before crawling and whenever the session expires
+ * @param {string} config.resumeFile - Checkpoint file to resume an interrupted crawl from
+ * @param {string} config.checkpointFile - State file written during the crawl (default: timestamped in reports/)
+ * @param {number} config.checkpointInterval - Seconds between checkpoints (0 disables checkpointing)
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Aborting stops the crawl after the current pages and returns partial results
+ * @param {Object} options.logger - { debug, info, warn, error }; levels left out are silent
+ * @param {Function} options.onEvent - Callback({ type, ... }) for every crawl event (see crawlEvents in plugins.js)
+ * @param {Object[]} options.plugins - Plugin objects { name, hooks: { 'event:type': (event, context) => {} } }; plugins listed
+ *   in config.configFile run after these
+ * @param {Function} options.confirm - Optional async callback(config, action) that returns false to cancel the crawl
+ * @param {Object} options.env - Environment used for ${VAR} placeholders in the login script (default: process.env)
+ * @param {Object} options.checkpoint - Optional { save(), restore(data) } hooks to persist the caller's accumulated data
  * @param {Function} options.onPageVisit - Callback(page, url, depth, response) for each page visit
- * @param {Function} options.onRequestIntercept - Optional request interception callback; return truthy to skip default continue
- * @param {Function} options.onConsoleMessage - Optional console message callback(msg, pageUrl)
- * @param {string} options.action - Action description for confirmation (e.g., "VALIDATE", "CREATE")
- * @param {boolean} options.skipConfirmation - Skip confirmation prompt (default: false)
+ * @param {Function} options.onRequestIntercept - Optional request interception callback(request, pageUrl, context); return truthy to skip default continue
+ *   (context adds { worker, frameUrl, mainFrame } for the frame that made the request)
+ * @param {Function} options.onConsoleMessage - Optional console message callback(msg, pageUrl, context)
+ * @param {Function} options.onCspViolation - Optional callback(violation, pageUrl, context) for securitypolicyviolation events in any frame
+ *   (context is { interactionTriggered } - true while the interaction phase is running)
+ * @param {Function} options.transformDocumentHeaders - Optional callback(headers, url) returning the response headers to serve for main-frame documents;
+ *   it is not called when the document cannot be fetched outside the browser, and the page loads with its original headers
+ * @param {string} options.action - Action description for confirmation and checkpoints (e.g., "VALIDATE", "CREATE")
  * @returns {Promise<Object>} Crawl results
+ * @throws {ConfigError|CheckpointError|PluginError|AuthError|CrawlCancelledError|CrawlAbortedError}
  */
-export async function crawlSite(options = {}) {
-    const config = getCommonConfig({
-        reportPrefix: 'csp-crawl',
-        reportsDir: './reports',
-        args: options.args || [],
-        env: options.env || process.env,
-    })
+export async function crawlSite(crawlConfig, options = {}) {
+    const config = resolveConfig(crawlConfig)
+    const logger = resolveLogger(options.logger)
+    const action = options.action || 'ANALYZE'
+    const signal = options.signal
+
+    const scope = createScope(config)
 
-    const baseUrl = new URL(config.baseUrl)
-    const baseOrigin = baseUrl.origin
-    const baseHostname = baseUrl.hostname.replace(/^www\./, '')
-    const isSameSiteUrl = candidateUrl => {
+    let resumeState = null
+
+    if (config.resumeFile) {
         try {
-            return new URL(candidateUrl).hostname.replace(/^www\./, '') === baseHostname
-        } catch (_e) {
-            return false
+            resumeState = readCheckpoint(config.resumeFile)
+        } catch (error) {
+            throw new CheckpointError(`Could not read checkpoint ${config.resumeFile}: ${error.message}`, { cause: error })
+        }
+
+        if (normalizeUrl(resumeState.config.baseUrl) !== normalizeUrl(config.baseUrl)) {
+            throw new CheckpointError(`Checkpoint ${config.resumeFile} was made for ${resumeState.config.baseUrl}, not ${config.baseUrl}`)
         }
     }
 
-    const log = (...args) => { if (!config.quiet) { console.log(...args) } }
+    const auth = createAuth({
+        cookiesFile: config.cookiesFile,
+        storageStateFile: config.storageStateFile,
+        loginScriptFile: config.loginScriptFile,
+        env: options.env || process.env,
+        log: logger.info,
+    })
 
-    // Confirmation prompt
-    if (!options.skipConfirmation && !config.skipConfirmation) {
-        const confirmed = await confirmCrawl(config, options.action || 'ANALYZE')
+    const plugins = [
+        ...(options.plugins || []).map(plugin => validatePlugin(plugin)),
+        ...(config.configFile ? await loadPluginConfig(config.configFile) : []),
+    ]
+    const { emit, findings: pluginFindings } = createEventBus({ plugins, onEvent: options.onEvent, logger, config })
 
-        if (!confirmed) {
-            console.log('❌ Crawl cancelled by user.')
-            process.exit(0)
-        }
+    // A declined confirmation must never pass as a clean run in a pipeline
+    if (options.confirm && !await options.confirm(config, action)) {
+        throw new CrawlCancelledError()
     }
 
-    console.log('🔍 Starting crawler...')
-    console.log(`📍 Base URL: ${config.baseUrl}`)
-    console.log(`🔀 Concurrency: ${config.concurrency}`)
+    if (signal?.aborted) {
+        throw new CrawlAbortedError()
+    }
+
+    logger.info('🔍 Starting crawler...')
+    logger.info(`📍 Base URL: ${config.baseUrl}`)
+    logger.info(`🔀 Concurrency: ${config.concurrency}`)
+
+    if (config.allowedHosts.length > 0) {
+        logger.info(`🌐 Allowed hosts: ${config.allowedHosts.join(', ')}`)
+    }
+
+    if (plugins.length > 0) {
+        logger.info(`🧩 Plugins: ${plugins.map(plugin => plugin.name).join(', ')}`)
+    }
 
     const launchBrowser = async () => {
         const launched = await puppeteer.launch({
@@ -127,7 +203,7 @@ export async function crawlSite(options = {}) {
         })
 
         launched.on('disconnected', () => {
-            console.log('⚠️  Browser disconnected. Will relaunch on next request.')
+            logger.warn('⚠️  Browser disconnected. Will relaunch on next request.')
         })
 
         return launched
@@ -136,6 +212,8 @@ export async function crawlSite(options = {}) {
     let browser = await launchBrowser()
     let relaunchPromise = null
 
+    await emit({ type: 'crawl:start', baseUrl: config.baseUrl, resumedFrom: config.resumeFile || null }, { browser })
+
     const ensureBrowser = () => {
         if (browser?.isConnected?.()) { return browser }
 
@@ -149,7 +227,12 @@ export async function crawlSite(options = {}) {
                     }
 
                     browser = await launchBrowser()
-                    console.log('♻️  Browser re-launched after disconnect.')
+                    logger.info('♻️  Browser re-launched after disconnect.')
+                    emit({ type: 'browser:relaunched' })
+
+                    if (auth) {
+                        await auth.applyToBrowser(browser)
+                    }
 
                     return browser
                 } finally {
@@ -165,45 +248,217 @@ export async function crawlSite(options = {}) {
     const normalizedBaseUrl = normalizeUrl(config.baseUrl)
     const visited = new Set()
     const failed = new Set()
-    const pending = new Set([ normalizedBaseUrl ]) // O(1) lookup for queue membership
-    const toVisit = [ { url: normalizedBaseUrl, depth: 0, retries: 0 } ]
+    const pending = new Set() // O(1) lookup for queue membership
+    const toVisit = []
+    const urlSources = new Map() // How each URL entered the queue
     let queueIndex = 0
     const crawlStats = {
         pagesScanned: 0,
         linksFound: 0,
         newLinksFound: 0,
         linksTruncated: 0,
+        interactions: 0,
+        navigationsBlocked: 0,
         redirectsExternal: 0,
+        sitemapUrlsQueued: 0,
+        seedUrlsQueued: 0,
         errors: [],
     }
     const redirectedExternal = new Map()
+    const inProgress = new Map() // Pages taken off the queue but not yet finished
     let activeWorkers = 0
     let shuttingDown = false
 
-    // Graceful shutdown on SIGINT
-    const sigintHandler = () => {
-        if (shuttingDown) {
-            process.exit(1)
+    const enqueue = (url, depth, source) => {
+        if (visited.has(url) || failed.has(url) || pending.has(url)) { return false }
+
+        toVisit.push({ url, depth, retries: 0 })
+        pending.add(url)
+
+        if (!urlSources.has(url)) {
+            urlSources.set(url, source)
+        }
+
+        emit({ type: 'url:enqueued', url, depth, source })
+
+        return true
+    }
+
+    // URLs that were already seen are not reported, only the ones a rule kept out, once per reason
+    const skippedUrls = new Set()
+
+    const skip = (url, reason, details = {}) => {
+        if (skippedUrls.has(`${reason} ${url}`)) { return }
+
+        skippedUrls.add(`${reason} ${url}`)
+        emit({ type: 'url:skipped', url, reason, ...details })
+    }
+
+    // Queue seed-list URLs that pass the scope rules
+    const enqueueSeeds = (rawUrls, source) => {
+        let queued = 0
+
+        for (const rawUrl of rawUrls) {
+            const url = normalizeUrl(scope.toCrawlUrl(rawUrl))
+            const reason = scope.skipReason(url)
+
+            if (reason) {
+                skip(url, reason, { source })
+                continue
+            }
+
+            if (enqueue(url, 0, source)) {
+                queued++
+            }
+        }
+
+        return queued
+    }
+
+    // A fixed URL list without link following covers exactly the listed pages
+    const hasSeedList = Boolean(config.urlsFile) || config.seedUrls.length > 0
+
+    if (resumeState) {
+        resumeState.visited.forEach(url => visited.add(url))
+        resumeState.failed.forEach(url => failed.add(url))
+        resumeState.queue.forEach(item => {
+            toVisit.push(item)
+            pending.add(item.url)
+        })
+        resumeState.urlSources.forEach(([ url, source ]) => urlSources.set(url, source))
+        resumeState.redirectedExternal.forEach(entry => redirectedExternal.set(entry.from, entry))
+        Object.assign(crawlStats, resumeState.crawlStats)
+        pluginFindings.push(...resumeState.pluginFindings || [])
+
+        if (options.checkpoint && resumeState.data) {
+            options.checkpoint.restore(resumeState.data)
+        }
+
+        logger.info(`⏯️  Resuming crawl: ${visited.size} visited, ${toVisit.length} queued, ${failed.size} failed`)
+    } else if (config.followLinks || !hasSeedList) {
+        enqueue(normalizedBaseUrl, 0, 'start')
+    }
+
+    // Pages in flight go back to the front of the queue so a resumed crawl revisits them
+    const saveCheckpoint = () => {
+        const queued = [ ...inProgress.values(), ...toVisit.slice(queueIndex) ]
+        const queue = Array.from(new Map(queued.map(item => [ item.url, item ])).values())
+
+        writeCheckpoint(config.checkpointFile, {
+            action,
+            config: { baseUrl: config.baseUrl },
+            visited: Array.from(visited),
+            failed: Array.from(failed),
+            pending: queue.map(item => item.url),
+            queue,
+            urlSources: Array.from(urlSources.entries()),
+            redirectedExternal: Array.from(redirectedExternal.values()),
+            crawlStats,
+            pluginFindings,
+            data: options.checkpoint ? options.checkpoint.save() : null,
+        })
+    }
+
+    const saveCheckpointSafely = () => {
+        try {
+            saveCheckpoint()
+            logger.debug(`💾 Checkpoint saved to ${config.checkpointFile}`)
+            emit({ type: 'checkpoint:saved', file: config.checkpointFile })
+        } catch (error) {
+            logger.warn(`⚠️  Could not save checkpoint: ${error.message}`)
         }
+    }
+
+    const checkpointTimer = config.checkpointInterval > 0
+        ? setInterval(saveCheckpointSafely, config.checkpointInterval * 1000)
+        : null
 
-        console.log('\n⚠️  Graceful shutdown requested. Finishing current pages...')
+    // Graceful shutdown; the checkpoint is saved right away in case the caller does not wait for the current pages
+    const abortHandler = () => {
+        logger.warn('\n⚠️  Graceful shutdown requested. Finishing current pages...')
         shuttingDown = true
+        emit({ type: 'crawl:stopping' })
+
+        if (checkpointTimer) {
+            saveCheckpointSafely()
+        }
     }
 
-    process.on('SIGINT', sigintHandler)
+    signal?.addEventListener('abort', abortHandler, { once: true })
 
     try {
+        // Restore the session before any page is loaded
+        if (auth) {
+            await auth.applyToBrowser(browser)
+        }
 
-        async function setupWorkerPage(page) {
+        // Seed the queue before any worker starts (a resumed crawl already has its queue)
+        if (!resumeState) {
+            if (config.sitemap) {
+                logger.info('🗺️  Discovering URLs from sitemaps...')
+
+                const sitemapResult = await discoverSitemapUrls({ baseUrl: config.baseUrl, log: logger.debug })
+
+                crawlStats.sitemapUrlsQueued = enqueueSeeds(sitemapResult.urls, 'sitemap')
+                crawlStats.errors.push(...sitemapResult.errors)
+
+                logger.info(`🗺️  Queued ${crawlStats.sitemapUrlsQueued} URLs from ${sitemapResult.sitemaps.length} sitemap(s)`)
+
+                if (sitemapResult.errors.length > 0) {
+                    logger.warn(`⚠️  ${sitemapResult.errors.length} sitemap(s) could not be read (see crawlStats.errors)`)
+                }
+            }
+
+            if (config.urlsFile) {
+                const queued = enqueueSeeds(loadUrlsFile(config.urlsFile, config.baseUrl), `urls-file:${config.urlsFile}`)
+
+                crawlStats.seedUrlsQueued += queued
+                logger.info(`📋 Queued ${queued} URLs from ${config.urlsFile}`)
+            }
+
+            for (const seedUrl of config.seedUrls) {
+                try {
+                    const queued = enqueueSeeds(await loadSeedUrl(browser, seedUrl, auth?.applyToPage), `seed-url:${seedUrl}`)
+
+                    crawlStats.seedUrlsQueued += queued
+                    logger.info(`📋 Queued ${queued} URLs listed on ${seedUrl}`)
+                } catch (error) {
+                    logger.warn(`❌ Could not load seed URL ${seedUrl}: ${error.message}`)
+                    crawlStats.errors.push({ url: seedUrl, error: error.message })
+                }
+            }
+        }
+
+        const interactionSelectors = [ ...DEFAULT_INTERACTION_SELECTORS, ...config.interactionSelectors ]
+
+        async function setupWorkerPage(page, workerId) {
             let currentPageUrl = ''
+            let interactionTriggered = false
+            const context = () => ({ interactionTriggered })
 
             await page.setRequestInterception(true)
 
+            // Clicks during the interaction phase must not take the page elsewhere
+            if (config.interact) {
+                page.on('popup', popup => popup?.close().catch(() => {}))
+            }
+
+            if (auth) {
+                await auth.applyToPage(page)
+            }
+
             // Set up request interception
             page.on('request', request => {
+                if (interactionTriggered && request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+                    crawlStats.navigationsBlocked++
+                    request.abort()
+
+                    return
+                }
+
                 if (request.frame() === page.mainFrame() && request.resourceType() === 'document') {
                     try {
-                        if (!isSameSiteUrl(request.url())) {
+                        if (!scope.isAllowedHost(request.url())) {
                             const redirectChain = request.redirectChain()
 
                             if (redirectChain.length > 0) {
@@ -232,25 +487,97 @@ export async function crawlSite(options = {}) {
                     }
                 }
 
+                // Requests carry the page and frame they were made for
+                const requestContext = {
+                    ...context(),
+                    worker: workerId,
+                    frameUrl: request.frame()?.url() || null,
+                    mainFrame: request.frame() === page.mainFrame(),
+                }
+
+                emit({ type: 'request:made', url: request.url(), pageUrl: currentPageUrl, method: request.method(), resourceType: request.resourceType(), ...requestContext }, { request, page })
+
                 // Call custom request interceptor if provided
                 if (options.onRequestIntercept) {
-                    const handled = options.onRequestIntercept(request)
+                    const handled = options.onRequestIntercept(request, currentPageUrl, requestContext)
 
                     if (handled) { return }
                 }
 
+                if (options.transformDocumentHeaders && request.frame() === page.mainFrame() && request.resourceType() === 'document') {
+                    // The page still loads, but without the rewritten headers; callers must not count it as checked
+                    fulfillDocument(request, page, options.transformDocumentHeaders).catch(error => {
+                        logger.warn(`⚠️  [W${workerId}] Could not rewrite headers for ${request.url()}, loading it unchanged: ${error.message}`)
+                        crawlStats.errors.push({ url: request.url(), error: `Policy not injected: ${error.message}` })
+
+                        if (!request.isInterceptResolutionHandled()) {
+                            request.continue().catch(_e => {
+                                // The page was closed or navigated away meanwhile
+                            })
+                        }
+                    })
+
+                    return
+                }
+
                 request.continue()
             })
 
+            page.on('response', response => {
+                emit({
+                    type: 'response:received',
+                    url: response.url(),
+                    pageUrl: currentPageUrl,
+                    status: response.status(),
+                    resourceType: response.request().resourceType(),
+                    mainFrame: response.frame() === page.mainFrame(),
+                    worker: workerId,
+                }, { response, page })
+            })
+
+            // Frames usually attach at about:blank; hooks get the frame to follow its navigation
+            page.on('frameattached', frame => {
+                emit({ type: 'frame:attached', pageUrl: currentPageUrl, frameUrl: frame.url() || null, worker: workerId }, { frame, page })
+            })
+
+            // Report securitypolicyviolation events from every frame back to Node
+            if (options.onCspViolation) {
+                await page.exposeFunction('__cspCrawlerReportViolation', violation => {
+                    options.onCspViolation(violation, currentPageUrl, context())
+                })
+                await page.evaluateOnNewDocument(() => {
+                    document.addEventListener('securitypolicyviolation', event => {
+                        window.__cspCrawlerReportViolation?.({
+                            violatedDirective: event.violatedDirective,
+                            effectiveDirective: event.effectiveDirective,
+                            blockedURI: event.blockedURI,
+                            sourceFile: event.sourceFile,
+                            lineNumber: event.lineNumber,
+                            columnNumber: event.columnNumber,
+                            disposition: event.disposition,
+                            sample: event.sample,
+                            documentURI: event.documentURI,
+                            originalPolicy: event.originalPolicy,
+                            statusCode: event.statusCode,
+                        })
+                    }, true)
+                })
+            }
+
             // Set up console message listener if provided
             if (options.onConsoleMessage) {
                 page.on('console', msg => {
-                    options.onConsoleMessage(msg, currentPageUrl)
+                    options.onConsoleMessage(msg, currentPageUrl, context())
                 })
             }
 
-            // Store a setter so the worker loop can update currentPageUrl
-            page._setCurrentUrl = url => { currentPageUrl = url }
+            // Store setters so the worker loop can update currentPageUrl and the interaction phase
+            page._setCurrentUrl = url => {
+                currentPageUrl = url
+                interactionTriggered = false
+            }
+
+            page._setInteractionTriggered = value => { interactionTriggered = value }
 
             return page
         }
@@ -259,13 +586,13 @@ export async function crawlSite(options = {}) {
         const workerPages = []
 
         for (let i = 0; i < config.concurrency; i++) {
-            const page = await setupWorkerPage(await browser.newPage())
+            const page = await setupWorkerPage(await browser.newPage(), i + 1)
 
             workerPages.push(page)
         }
 
         const recreateWorkerPage = async (workerId, activePage, reason) => {
-            console.log(`⚠️  [W${workerId}] ${reason} Recreating page and retrying.`)
+            logger.warn(`⚠️  [W${workerId}] ${reason} Recreating page and retrying.`)
 
             try {
                 await activePage.close()
@@ -274,9 +601,10 @@ export async function crawlSite(options = {}) {
             }
 
             await ensureBrowser()
-            const page = await setupWorkerPage(await browser.newPage())
+            const page = await setupWorkerPage(await browser.newPage(), workerId)
 
             workerPages[workerId - 1] = page
+            emit({ type: 'worker:recreated', worker: workerId, reason })
 
             return page
         }
@@ -307,8 +635,16 @@ export async function crawlSite(options = {}) {
 
                 if (failed.has(currentUrl)) { continue }
 
+                if (auth?.isLogoutUrl(currentUrl)) {
+                    logger.debug(`🔐 [W${workerId}] Skipping ${currentUrl} - logout URL`)
+                    skip(currentUrl, 'logout')
+
+                    continue
+                }
+
                 if (currentDepth > config.maxDepth) {
-                    log(`🔚 [W${workerId}] Skipping ${currentUrl} - max depth (${config.maxDepth}) reached`)
+                    logger.debug(`🔚 [W${workerId}] Skipping ${currentUrl} - max depth (${config.maxDepth}) reached`)
+                    skip(currentUrl, 'max-depth', { depth: currentDepth })
 
                     continue
                 }
@@ -316,16 +652,30 @@ export async function crawlSite(options = {}) {
                 if (visited.size >= config.maxPages) { return }
 
                 activeWorkers++
+                inProgress.set(currentUrl, current)
                 activePage._setCurrentUrl(currentUrl)
 
                 try {
-                    log(`📄 [W${workerId}] [${visited.size + 1}] Visiting: ${currentUrl} (depth: ${currentDepth})`)
+                    logger.debug(`📄 [W${workerId}] [${visited.size + 1}] Visiting: ${currentUrl} (depth: ${currentDepth})`)
+                    await emit({ type: 'page:start', url: currentUrl, depth: currentDepth, attempt: retries + 1, worker: workerId }, { page: activePage })
+
+                    let response = await activePage.goto(currentUrl, { waitUntil: 'networkidle2', timeout: 30000 })
+
+                    // Log back in and reload when the session expired mid-crawl
+                    if (auth?.isLoginRedirect(response?.url() || activePage.url(), currentUrl)) {
+                        logger.info(`🔐 [W${workerId}] Session expired at ${currentUrl}. Logging back in.`)
+                        await auth.relogin(browser)
+                        response = await activePage.goto(currentUrl, { waitUntil: 'networkidle2', timeout: 30000 })
+
+                        if (auth.isLoginRedirect(response?.url() || activePage.url(), currentUrl)) {
+                            throw new Error('Still redirected to the login page after logging back in')
+                        }
+                    }
 
-                    const response = await activePage.goto(currentUrl, { waitUntil: 'networkidle2', timeout: 30000 })
                     const finalUrl = response?.url() || activePage.url()
 
                     try {
-                        if (!isSameSiteUrl(finalUrl)) {
+                        if (!scope.isAllowedHost(finalUrl)) {
                             if (!redirectedExternal.has(currentUrl)) {
                                 const redirectChain = response?.request()?.redirectChain?.() || []
 
@@ -339,7 +689,8 @@ export async function crawlSite(options = {}) {
                             }
 
                             visited.add(currentUrl)
-                            log(`↪️  [W${workerId}] Skipping ${currentUrl} - redirected to external origin (${finalUrl})`)
+                            logger.debug(`↪️  [W${workerId}] Skipping ${currentUrl} - redirected to external origin (${finalUrl})`)
+                            emit({ type: 'page:redirected', url: currentUrl, to: finalUrl, worker: workerId })
                             continue
                         }
                     } catch (_e) {
@@ -349,16 +700,30 @@ export async function crawlSite(options = {}) {
                     visited.add(currentUrl)
                     crawlStats.pagesScanned++
 
+                    // Scroll, click and hover to load lazy resources; anything loaded now is flagged as interaction-triggered
+                    if (config.interact) {
+                        activePage._setInteractionTriggered(true)
+
+                        try {
+                            const clicked = await runInteractions(activePage, { selectors: interactionSelectors, maxInteractions: config.maxInteractions })
+
+                            crawlStats.interactions += clicked
+                            logger.debug(`   🖱️  [W${workerId}] ${clicked} interaction(s) on ${currentUrl}`)
+                        } catch (error) {
+                            logger.debug(`   ⚠️  [W${workerId}] Interactions failed on ${currentUrl}: ${error.message}`)
+                        }
+                    }
+
                     // Call page visit callback with response
                     if (options.onPageVisit) {
                         await options.onPageVisit(activePage, currentUrl, currentDepth, response)
                     }
 
-                    // Extract links from current page
-                    const linkResult = await activePage.evaluate(({ baseOrigin, maxLinksPerPage, excludePattern, excludedExtensions, excludedProtocols }) => {
+                    // Extract every http(s) link from the current page; the scope rules run below, outside the page
+                    const pageLinks = await activePage.evaluate(() => {
                         const anchors = Array.from(document.querySelectorAll('a[href]'))
 
-                        const allLinks = anchors
+                        return anchors
                             .map(a => {
                                 try {
                                     const rawHref = a.getAttribute('href') || ''
@@ -367,7 +732,6 @@ export async function crawlSite(options = {}) {
                                     if (url.protocol !== 'http:' && url.protocol !== 'https:') { return null }
 
                                     url.hash = ''
-                                    if (url.origin !== baseOrigin) { return null }
 
                                     return url.toString()
                                 } catch (_e) {
@@ -375,80 +739,61 @@ export async function crawlSite(options = {}) {
                                 }
                             })
                             .filter(Boolean)
-                            .filter(href => {
-                                const lowerHref = href.toLowerCase()
-
-                                for (const proto of excludedProtocols) {
-                                    if (lowerHref.startsWith(proto)) { return false }
-                                }
-
-                                for (const ext of excludedExtensions) {
-                                    if (lowerHref.includes(ext)) {
-                                        const matchesEnd = lowerHref.endsWith(ext)
-                                        const matchesQuery = lowerHref.includes(`${ext}?`) || lowerHref.includes(`${ext}#`) || lowerHref.includes(`${ext}&`)
-
-                                        if (matchesEnd || matchesQuery) { return false }
-                                    }
-                                }
-
-                                return true
-                            })
-                            .filter(href => {
-                                if (!excludePattern) { return true }
-
-                                try {
-                                    const regex = new RegExp(excludePattern, 'i')
+                    })
 
-                                    return !regex.test(href)
-                                } catch (_e) {
-                                    return true
-                                }
-                            })
+                    const uniqueLinks = []
 
-                        const uniqueLinks = [ ...new Set(allLinks) ]
+                    for (const href of new Set(pageLinks.map(link => normalizeUrl(scope.toCrawlUrl(link))))) {
+                        const reason = scope.skipReason(href)
 
-                        return {
-                            links: uniqueLinks.slice(0, maxLinksPerPage),
-                            totalFound: uniqueLinks.length,
-                            wasTruncated: uniqueLinks.length > maxLinksPerPage,
+                        if (reason) {
+                            skip(href, reason, { from: currentUrl })
+                        } else {
+                            uniqueLinks.push(href)
                         }
-                    }, {
-                        baseOrigin,
-                        maxLinksPerPage: config.maxLinksPerPage,
-                        excludePattern: config.excludePattern,
-                        excludedExtensions,
-                        excludedProtocols,
-                    })
+                    }
 
-                    const { links, totalFound, wasTruncated } = linkResult
+                    const links = uniqueLinks.slice(0, config.maxLinksPerPage)
+                    const totalFound = uniqueLinks.length
+                    const wasTruncated = totalFound > config.maxLinksPerPage
 
                     if (wasTruncated) {
                         const truncatedCount = totalFound - links.length
 
-                        log(`   ⚠️  [W${workerId}] WARNING: Page has ${totalFound} links, only extracting ${links.length} (truncated ${truncatedCount})`)
+                        logger.debug(`   ⚠️  [W${workerId}] WARNING: Page has ${totalFound} links, only extracting ${links.length} (truncated ${truncatedCount})`)
                         crawlStats.linksTruncated += truncatedCount
+                        uniqueLinks.slice(config.maxLinksPerPage).forEach(href => skip(href, 'link-limit', { from: currentUrl }))
                     }
 
                     // Add new links to visit queue (normalize before checking)
                     const newLinks = []
 
-                    if (currentDepth < config.maxDepth) {
-                        links.forEach(rawLink => {
-                            const link = normalizeUrl(rawLink)
-
-                            if (!visited.has(link) && !failed.has(link) && !pending.has(link)) {
-                                toVisit.push({ url: link, depth: currentDepth + 1, retries: 0 })
-                                pending.add(link)
+                    if (config.followLinks && currentDepth < config.maxDepth) {
+                        links.forEach(link => {
+                            if (enqueue(link, currentDepth + 1, 'link')) {
                                 newLinks.push(link)
                             }
                         })
+                    } else if (config.followLinks) {
+                        links.forEach(link => skip(link, 'max-depth', { depth: currentDepth + 1, from: currentUrl }))
                     }
 
                     crawlStats.linksFound += links.length
                     crawlStats.newLinksFound += newLinks.length
 
-                    log(`   📄 [W${workerId}] Found ${links.length} total links, ${newLinks.length} new links to visit`)
-                    log(`   📊 [W${workerId}] Queue: ${toVisit.length - queueIndex} pages to visit, ${visited.size} visited`)
+                    logger.debug(`   📄 [W${workerId}] Found ${links.length} total links, ${newLinks.length} new links to visit`)
+                    logger.debug(`   📊 [W${workerId}] Queue: ${toVisit.length - queueIndex} pages to visit, ${visited.size} visited`)
+
+                    // The worker stays on this page until the hooks finish, so they can still inspect it
+                    await emit({
+                        type: 'page:success',
+                        url: currentUrl,
+                        depth: currentDepth,
+                        status: response?.status() ?? null,
+                        links: links.length,
+                        newLinks: newLinks.length,
+                        worker: workerId,
+                    }, { page: activePage, response })
                 } catch (error) {
                     const message = error?.message || ''
                     const isConnectionClosed = error?.name === 'ConnectionClosedError'
@@ -463,20 +808,23 @@ export async function crawlSite(options = {}) {
 
                     if (redirectedExternal.has(currentUrl)) {
                         visited.add(currentUrl)
-                        log(`↪️  [W${workerId}] Skipping ${currentUrl} - redirected to external origin`)
+                        logger.debug(`↪️  [W${workerId}] Skipping ${currentUrl} - redirected to external origin`)
                         continue
                     }
 
                     if (retries < config.maxRetries) {
                         toVisit.push({ url: currentUrl, depth: currentDepth, retries: retries + 1 })
                         pending.add(currentUrl)
-                        console.log(`🔄 [W${workerId}] Retry ${retries + 1}/${config.maxRetries} queued for ${currentUrl}`)
+                        logger.info(`🔄 [W${workerId}] Retry ${retries + 1}/${config.maxRetries} queued for ${currentUrl}`)
+                        emit({ type: 'page:retry', url: currentUrl, attempt: retries + 1, error: error.message, worker: workerId })
                     } else {
                         failed.add(currentUrl)
-                        console.log(`❌ [W${workerId}] Error visiting ${currentUrl}: ${error.message} - possible redirect or network issue.`)
+                        logger.warn(`❌ [W${workerId}] Error visiting ${currentUrl}: ${error.message} - possible redirect or network issue.`)
                         crawlStats.errors.push({ url: currentUrl, error: error.message })
+                        emit({ type: 'page:failed', url: currentUrl, error: error.message, worker: workerId })
                     }
                 } finally {
+                    inProgress.delete(currentUrl)
                     activeWorkers--
                 }
 
@@ -491,7 +839,12 @@ export async function crawlSite(options = {}) {
         await Promise.all(workerPages.map((p, i) => processQueue(p, i + 1)))
 
     } finally {
-        process.removeListener('SIGINT', sigintHandler)
+        signal?.removeEventListener('abort', abortHandler)
+
+        if (checkpointTimer) {
+            clearInterval(checkpointTimer)
+        }
+
         try {
             await browser?.close?.()
         } catch (_e) {
@@ -502,43 +855,78 @@ export async function crawlSite(options = {}) {
     // Warn if crawl stopped due to maxPages limit
     const abandonedUrls = toVisit.slice(queueIndex).map(item => item.url)
 
+    // Keep a checkpoint only when there is something left to resume
+    if (checkpointTimer) {
+        if (shuttingDown || abandonedUrls.length > 0) {
+            saveCheckpoint()
+        } else {
+            removeCheckpoint(config.checkpointFile)
+        }
+    }
+
     if (abandonedUrls.length > 0) {
-        console.log('')
-        console.log('⚠️  WARNING: Crawl stopped due to maxPages limit!')
-        console.log(`   ${abandonedUrls.length} URLs were discovered but never visited.`)
-        console.log(`   Increase --max-pages (currently ${config.maxPages}) to crawl more pages.`)
+        logger.warn('')
+        logger.warn('⚠️  WARNING: Crawl stopped due to maxPages limit!')
+        logger.warn(`   ${abandonedUrls.length} URLs were discovered but never visited.`)
+        logger.warn(`   Increase --max-pages (currently ${config.maxPages}) to crawl more pages.`)
     }
 
     if (crawlStats.linksTruncated > 0) {
-        console.log('')
-        console.log(`⚠️  WARNING: ${crawlStats.linksTruncated} links were truncated due to maxLinksPerPage limit.`)
-        console.log(`   Increase --max-links-per-page (currently ${config.maxLinksPerPage}) to extract more links per page.`)
+        logger.warn('')
+        logger.warn(`⚠️  WARNING: ${crawlStats.linksTruncated} links were truncated due to maxLinksPerPage limit.`)
+        logger.warn(`   Increase --max-links-per-page (currently ${config.maxLinksPerPage}) to extract more links per page.`)
     }
 
-    console.log('')
-    console.log('Crawl Complete!')
-    console.log(`Pages scanned: ${visited.size}`)
-    console.log(`Total links found: ${crawlStats.linksFound}`)
-    console.log(`New links discovered: ${crawlStats.newLinksFound}`)
-    console.log(`External redirects skipped: ${crawlStats.redirectsExternal}`)
-    console.log(`Errors encountered: ${crawlStats.errors.length}`)
+    logger.info('')
+    logger.info('Crawl Complete!')
+    logger.info(`Pages scanned: ${visited.size}`)
+    logger.info(`Total links found: ${crawlStats.linksFound}`)
+    logger.info(`New links discovered: ${crawlStats.newLinksFound}`)
+    logger.info(`External redirects skipped: ${crawlStats.redirectsExternal}`)
+
+    if (config.sitemap) {
+        logger.info(`URLs queued from sitemaps: ${crawlStats.sitemapUrlsQueued}`)
+    }
+
+    if (hasSeedList) {
+        logger.info(`URLs queued from seed lists: ${crawlStats.seedUrlsQueued}`)
+    }
+
+    logger.info(`Errors encountered: ${crawlStats.errors.length}`)
 
     if (abandonedUrls.length > 0) {
-        console.log(`URLs abandoned (not visited): ${abandonedUrls.length}`)
+        logger.info(`URLs abandoned (not visited): ${abandonedUrls.length}`)
     }
 
     if (shuttingDown) {
-        console.log('⚠️  Crawl was interrupted by user. Results are partial.')
+        logger.warn('⚠️  Crawl was interrupted by user. Results are partial.')
     }
 
+    if (checkpointTimer && (shuttingDown || abandonedUrls.length > 0)) {
+        logger.info(`💾 Resume with: --resume ${config.checkpointFile}`)
+    }
+
+    const pageSources = {}
+
+    for (const url of visited) {
+        pageSources[url] = urlSources.get(url) || 'link'
+    }
+
+    abandonedUrls.forEach(url => skip(url, 'max-pages'))
+    await emit({ type: 'crawl:done', pagesScanned: visited.size, pagesFailed: failed.size, pagesAbandoned: abandonedUrls.length, partial: shuttingDown })
+
     return {
         timestamp: new Date().toISOString(),
         partial: shuttingDown,
+        resumedFrom: config.resumeFile || null,
         pagesScanned: Array.from(visited),
+        pageSources,
         pagesFailed: Array.from(failed),
         pagesAbandoned: abandonedUrls,
         pagesRedirectedExternal: Array.from(redirectedExternal.values()),
+        hosts: summarizeHosts({ pagesScanned: Array.from(visited), pagesFailed: Array.from(failed), pagesAbandoned: abandonedUrls }),
         crawlStats,
+        pluginFindings,
         config: {
             baseUrl: config.baseUrl,
             maxPages: config.maxPages,
@@ -547,6 +935,13 @@ export async function crawlSite(options = {}) {
             concurrency: config.concurrency,
             maxRetries: config.maxRetries,
             delay: config.delay,
+            sitemap: config.sitemap,
+            urlsFile: config.urlsFile,
+            seedUrls: config.seedUrls,
+            followLinks: config.followLinks,
+            allowedHosts: config.allowedHosts,
+            includePattern: config.includePattern,
+            excludePattern: config.excludePattern,
         },
     }
 }
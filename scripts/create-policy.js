@@ -0,0 +1,578 @@
+import fs from 'fs'
+import { getScriptDirs, resolveConfig } from './script-utils.js'
+import { crawlSite } from './crawler.js'
+import { createInlineInventory } from './inline-hashes.js'
+import { directiveForRequest, parsePolicy, serializePolicy } from './csp-policy.js'
+import { buildSectionPolicies, compileSectionPattern } from './sections.js'
+import { loadTemplates, matchTemplate, mergeTemplate } from './templates.js'
+import { auditPolicy, summarizeAudit } from './policy-audit.js'
+import { analyzeExistingPolicy, getLoadKey, mergeIntoExistingPolicy, readExistingPolicyHeader } from './existing-policy.js'
+import { resolveLogger } from './logger.js'
+import { TemplateError } from './errors.js'
+
+const { templatesDir } = getScriptDirs(import.meta.url)
+
+// Hash stable inline blocks (and, with 'unsafe-hashes', inline attributes); anything that cannot be hashed needs the explicit 'unsafe-inline' opt-in
+function addInlineSources(sources, blockEntries, attributeEntries, hasUnhashable, config) {
+    const hashedAttributes = config.unsafeHashes ? attributeEntries : []
+    const entries = [ ...blockEntries, ...hashedAttributes ]
+    const needsFallback = hasUnhashable
+        || (!config.unsafeHashes && attributeEntries.length > 0)
+        || entries.some(entry => entry.varies)
+
+    // Browsers ignore 'unsafe-inline' when a hash is present, so the fallback replaces the hashes
+    if (needsFallback && config.unsafeInline) {
+        sources.push("'unsafe-inline'")
+
+        return 'unsafe-inline'
+    }
+
+    if (hashedAttributes.some(entry => !entry.varies)) {
+        sources.push("'unsafe-hashes'")
+    }
+
+    for (const entry of entries) {
+        if (!entry.varies) {
+            sources.push(entry.hash)
+        }
+    }
+
+    return needsFallback ? 'hashes-incomplete' : 'hashes'
+}
+
+/**
+ * Crawl a site and build a Content Security Policy from everything its pages load
+ * @param {Object} policyConfig - Settings in the getCommonConfig shape; missing fields get their defaults (see resolveConfig)
+ * @param {Object} options - signal, logger, onEvent, plugins, confirm and env as for crawlSite, plus:
+ * @param {Function} options.chooseTemplates - Optional async callback({ matched, unmatched }) returning the template matches to include
+ *   when config.templates is null (default: every matched template)
+ * @returns {Promise<Object>} The report csp-create saves: policy, header, inline inventories, templates, audit, sections...
+ * @throws {ConfigError|TemplateError|PluginError|AuthError|CheckpointError|CrawlCancelledError|CrawlAbortedError}
+ */
+export async function createPolicy(policyConfig, options = {}) {
+    const config = resolveConfig(policyConfig, { reportPrefix: 'csp-policy' })
+    const logger = resolveLogger(options.logger)
+    const emit = event => options.onEvent?.(event)
+    const baseOrigin = new URL(config.baseUrl).origin
+
+    logger.info('🔍 Starting CSP creator...')
+    logger.info(`📍 Base URL: ${config.baseUrl}`)
+
+    // Check the requested templates before crawling so a typo does not cost a whole crawl
+    const templates = loadTemplates(templatesDir, { log: logger.warn })
+    const unknownTemplates = (config.templates || []).filter(id => !templates.some(template => template.id === id))
+
+    if (unknownTemplates.length > 0) {
+        throw new TemplateError(`Unknown template(s): ${unknownTemplates.join(', ')} (available: ${templates.map(template => template.id).join(', ')})`)
+    }
+    
+    // Track external origins by directive
+    const externalOrigins = {
+        'script-src': new Set(),
+        'style-src': new Set(),
+        'img-src': new Set(),
+        'font-src': new Set(),
+        'connect-src': new Set(),
+        'frame-src': new Set(),
+        'media-src': new Set(),
+        'object-src': new Set(),
+        'worker-src': new Set(),
+        'manifest-src': new Set(),
+    }
+    
+    // Track inline blocks and attributes by hash
+    const inlineScripts = createInlineInventory()
+    const inlineStyles = createInlineInventory()
+    const inlineEventHandlers = createInlineInventory()
+    const inlineStyleAttributes = createInlineInventory()
+    const javascriptUrls = createInlineInventory()
+    const inlineHandlersByPage = new Map() // Page URL -> { eventHandlers, javascriptUrls }
+
+    // Per-page origins are only kept when building per-section policies
+    const sectionPatterns = config.sections.map(compileSectionPattern)
+    const groupSections = sectionPatterns.length > 0 || config.groupByPrefix > 0
+    const pageOrigins = new Map() // Page URL -> { directive: Set of origins }
+
+    // "directive origin" pairs seen while the page loaded vs. only after simulated interactions
+    const pageLoadSources = new Set()
+    const interactionSources = new Set()
+
+    const getPageOrigins = pageUrl => {
+        if (!pageOrigins.has(pageUrl)) {
+            pageOrigins.set(pageUrl, {})
+        }
+
+        return pageOrigins.get(pageUrl)
+    }
+
+    // --from-existing: the site's current header, and every distinct load to check against it once the crawl is done
+    let existingPolicy = null // { header, reportOnly, url }
+    const existingPolicyLoads = new Map() // "directive url" -> resource entry
+
+    // One JSON line per load, appended as the crawl runs so large crawls never hold the log in memory
+    let resourceLogFile = config.resourceLog
+    let resourceLogStream = null
+
+    const logResource = entry => {
+        if (!resourceLogFile) { return }
+
+        if (!resourceLogStream) {
+            const isNew = !fs.existsSync(resourceLogFile) || fs.statSync(resourceLogFile).size === 0
+
+            resourceLogStream = fs.createWriteStream(resourceLogFile, { flags: 'a' })
+
+            if (isNew) {
+                resourceLogStream.write(`${JSON.stringify({ kind: 'meta', baseUrl: config.baseUrl, timestamp: new Date().toISOString() })}\n`)
+            }
+        }
+
+        resourceLogStream.write(`${JSON.stringify(entry)}\n`)
+    }
+
+    // Script initiators name the file that made the request, parser initiators the page itself
+    const describeInitiator = request => {
+        const initiator = request.initiator()
+
+        if (!initiator) { return null }
+
+        return {
+            type: initiator.type,
+            url: initiator.url || initiator.stack?.callFrames?.[0]?.url || null,
+        }
+    }
+    
+    const crawlResults = await crawlSite(config, {
+        action: 'CREATE Content Security Policy',
+        signal: options.signal,
+        logger,
+        onEvent: options.onEvent,
+        plugins: options.plugins,
+        confirm: options.confirm,
+        env: options.env,
+        checkpoint: {
+            save: () => ({
+                externalOrigins: Object.fromEntries(Object.entries(externalOrigins).map(([ directive, origins ]) => [ directive, Array.from(origins) ])),
+                inlineScripts: inlineScripts.toJSON(),
+                inlineStyles: inlineStyles.toJSON(),
+                inlineEventHandlers: inlineEventHandlers.toJSON(),
+                inlineStyleAttributes: inlineStyleAttributes.toJSON(),
+                javascriptUrls: javascriptUrls.toJSON(),
+                inlineHandlersByPage: Array.from(inlineHandlersByPage.entries()),
+                pageOrigins: Array.from(pageOrigins.entries(), ([ url, origins ]) => [
+                    url,
+                    Object.fromEntries(Object.entries(origins).map(([ directive, set ]) => [ directive, Array.from(set) ])),
+                ]),
+                resourceLogFile,
+                pageLoadSources: Array.from(pageLoadSources),
+                interactionSources: Array.from(interactionSources),
+                existingPolicy,
+                existingPolicyLoads: Array.from(existingPolicyLoads.values()),
+            }),
+            restore: data => {
+                for (const [ directive, origins ] of Object.entries(data.externalOrigins)) {
+                    origins.forEach(origin => externalOrigins[directive].add(origin))
+                }
+
+                inlineScripts.restore(data.inlineScripts)
+                inlineStyles.restore(data.inlineStyles)
+                inlineEventHandlers.restore(data.inlineEventHandlers)
+                inlineStyleAttributes.restore(data.inlineStyleAttributes)
+                javascriptUrls.restore(data.javascriptUrls)
+                data.inlineHandlersByPage.forEach(([ url, counts ]) => inlineHandlersByPage.set(url, counts))
+                data.pageOrigins.forEach(([ url, origins ]) => {
+                    pageOrigins.set(url, Object.fromEntries(Object.entries(origins).map(([ directive, list ]) => [ directive, new Set(list) ])))
+                })
+
+                data.pageLoadSources.forEach(source => pageLoadSources.add(source))
+                data.interactionSources.forEach(source => interactionSources.add(source))
+                existingPolicy = data.existingPolicy || null
+
+                for (const entry of data.existingPolicyLoads || []) {
+                    existingPolicyLoads.set(`${entry.directive} ${entry.url}`, entry)
+                }
+
+                // Keep appending to the log the interrupted crawl started
+                resourceLogFile = resourceLogFile || data.resourceLogFile || ''
+            },
+        },
+        onRequestIntercept: (request, pageUrl, { interactionTriggered } = {}) => {
+            const url = request.url()
+            const directive = directiveForRequest(request)
+
+            if (config.fromExisting && directive && pageUrl) {
+                const loadKey = getLoadKey(url)
+
+                if (loadKey && !existingPolicyLoads.has(`${directive} ${loadKey}`)) {
+                    existingPolicyLoads.set(`${directive} ${loadKey}`, { kind: 'resource', page: pageUrl, url: loadKey, directive, initiator: describeInitiator(request) })
+                }
+            }
+
+            if (directive && pageUrl) {
+                logResource({
+                    kind: 'resource',
+                    page: pageUrl,
+                    url,
+                    resourceType: request.resourceType(),
+                    directive,
+                    initiator: describeInitiator(request),
+                    interactionTriggered,
+                })
+            }
+
+            try {
+                const origin = new URL(url).origin
+                // 'self' is the origin of the page doing the load, which differs per host on multi-host crawls
+                const selfOrigin = pageUrl ? new URL(pageUrl).origin : baseOrigin
+
+                if (directive && origin !== selfOrigin && origin.startsWith('http')) {
+                    externalOrigins[directive].add(origin)
+
+                    if (interactionTriggered) {
+                        interactionSources.add(`${directive} ${origin}`)
+                    } else {
+                        pageLoadSources.add(`${directive} ${origin}`)
+                    }
+
+                    if (groupSections && pageUrl) {
+                        const origins = getPageOrigins(pageUrl)
+
+                        origins[directive] = origins[directive] || new Set()
+                        origins[directive].add(origin)
+                    }
+                }
+            } catch (_e) {
+                // Invalid URL, skip
+            }
+        },
+        // Take the site's header from the first document that sends one, then stop enforcing it so the crawl sees everything pages try to load
+        transformDocumentHeaders: config.fromExisting
+            ? (headers, url) => {
+                const found = readExistingPolicyHeader(headers)
+
+                if (!existingPolicy && found) {
+                    existingPolicy = { ...found, url }
+                    logger.info(`📋 Existing CSP${found.reportOnly ? ' (report-only)' : ''} from ${url}: ${found.header}`)
+                    emit({ type: 'existing-policy:found', url, ...found })
+                }
+
+                const servedHeaders = { ...headers }
+
+                delete servedHeaders['content-security-policy']
+
+                return servedHeaders
+            }
+            : undefined,
+        onPageVisit: async (page, url, _depth, _response) => {
+            if (groupSections) {
+                getPageOrigins(url)
+            }
+
+            // Collect the exact text of inline scripts and styles so they can be hashed
+            const inlineCheck = await page.evaluate(() => {
+                const executableTypes = [ '', 'text/javascript', 'application/javascript', 'text/ecmascript', 'application/ecmascript', 'module' ]
+                const scripts = Array.from(document.querySelectorAll('script:not([src])'))
+                    .filter(s => executableTypes.includes((s.getAttribute('type') || '').trim().toLowerCase()))
+                    .map(s => s.textContent)
+                    .filter(text => text.trim().length > 0)
+                const styles = Array.from(document.querySelectorAll('style')).map(s => s.textContent)
+                const urlAttributes = [ 'href', 'src', 'action', 'formaction', 'xlink:href' ]
+                const eventHandlers = []
+                const styleAttributes = []
+                const javascriptUrls = []
+
+                const describeElement = el => {
+                    const id = el.id ? `#${el.id}` : ''
+                    const className = typeof el.className === 'string' ? el.className.trim() : ''
+                    const classes = className ? `.${className.split(/\s+/).slice(0, 2).join('.')}` : ''
+
+                    return `${el.tagName.toLowerCase()}${id}${classes}`
+                }
+
+                // Every on* attribute, style attribute and javascript: URL in the document
+                for (const el of document.querySelectorAll('*')) {
+                    for (const attr of el.attributes) {
+                        const name = attr.name.toLowerCase()
+
+                        if (name.startsWith('on')) {
+                            eventHandlers.push({ element: describeElement(el), attribute: name, code: attr.value })
+                        } else if (name === 'style') {
+                            styleAttributes.push({ element: describeElement(el), attribute: name, code: attr.value })
+                        } else if (urlAttributes.includes(name) && (/^\s*javascript:/i).test(attr.value)) {
+                            javascriptUrls.push({ element: describeElement(el), attribute: name, code: attr.value })
+                        }
+                    }
+                }
+
+                return {
+                    scripts,
+                    styles,
+                    eventHandlers,
+                    styleAttributes,
+                    javascriptUrls,
+                }
+            })
+
+            const logInline = (inlineType, hash) => logResource({ kind: 'inline', page: url, inlineType, hash })
+
+            new Set(inlineCheck.scripts).forEach(content => logInline('script', inlineScripts.add(content, url)))
+            new Set(inlineCheck.styles).forEach(content => logInline('style', inlineStyles.add(content, url)))
+            inlineCheck.eventHandlers.forEach(({ code, ...location }) => logInline('event-handler', inlineEventHandlers.add(code, url, location)))
+            inlineCheck.styleAttributes.forEach(({ code }) => logInline('style-attribute', inlineStyleAttributes.add(code, url)))
+            inlineCheck.javascriptUrls.forEach(({ code, ...location }) => logInline('javascript-url', javascriptUrls.add(code, url, location)))
+
+            if (inlineCheck.eventHandlers.length > 0 || inlineCheck.javascriptUrls.length > 0) {
+                inlineHandlersByPage.set(url, {
+                    eventHandlers: inlineCheck.eventHandlers.length,
+                    javascriptUrls: inlineCheck.javascriptUrls.length,
+                })
+            }
+        },
+    })
+
+    if (resourceLogStream) {
+        await new Promise(resolve => resourceLogStream.end(resolve))
+    }
+
+    if (resourceLogFile) {
+        logger.info(`🗂️  Resource log saved to: ${resourceLogFile} (replay it with: npm run simulate -- --log ${resourceLogFile} --policy "<header>")`)
+    }
+    
+    // Build CSP policy
+    const policy = {}
+    
+    for (const [ directive, origins ] of Object.entries(externalOrigins)) {
+        const originList = Array.from(origins).sort()
+
+        if (originList.length > 0 || directive === 'script-src' || directive === 'style-src') {
+            policy[directive] = [ "'self'", ...originList ]
+        }
+    }
+    
+    // Add inline hashes (or the 'unsafe-inline' opt-in) for inline blocks and attributes
+    const inlineScriptEntries = inlineScripts.entries()
+    const inlineStyleEntries = inlineStyles.entries()
+    const inlineEventHandlerEntries = inlineEventHandlers.entries()
+    const inlineStyleAttributeEntries = inlineStyleAttributes.entries()
+    const javascriptUrlEntries = javascriptUrls.entries()
+    const hasInlineEventHandlers = inlineEventHandlerEntries.length > 0
+    const hasInlineStyleAttributes = inlineStyleAttributeEntries.length > 0
+    const hasInlineScripts = inlineScriptEntries.length > 0 || hasInlineEventHandlers || javascriptUrlEntries.length > 0
+    const hasInlineStyles = inlineStyleEntries.length > 0 || hasInlineStyleAttributes
+
+    // javascript: URLs cannot be allowed by hash, so they always need a refactor or the fallback
+    const inlineScriptMode = hasInlineScripts
+        ? addInlineSources(policy['script-src'], inlineScriptEntries, inlineEventHandlerEntries, javascriptUrlEntries.length > 0, config)
+        : 'none'
+    const inlineStyleMode = hasInlineStyles
+        ? addInlineSources(policy['style-src'], inlineStyleEntries, inlineStyleAttributeEntries, false, config)
+        : 'none'
+
+    // Handlers shared by many pages usually live in a layout or partial template
+    const inlineHandlerRemediation = {
+        handlers: [
+            ...inlineEventHandlerEntries.map(entry => ({ kind: 'event-handler', ...entry })),
+            ...javascriptUrlEntries.map(entry => ({ kind: 'javascript-url', ...entry })),
+        ]
+            .map(entry => ({ ...entry, scope: entry.pageCount > 1 ? 'shared-template' : 'single-page' }))
+            .sort((a, b) => b.pageCount - a.pageCount),
+        pages: Array.from(inlineHandlersByPage.entries())
+            .map(([ url, counts ]) => ({ url, ...counts }))
+            .sort((a, b) => (b.eventHandlers + b.javascriptUrls) - (a.eventHandlers + a.javascriptUrls)),
+    }
+    
+    // Ensure default-src and base-uri exist
+    policy['default-src'] = [ "'self'" ]
+    policy['base-uri'] = [ "'self'" ]
+    
+    // Always include data: for img-src (data URLs are common)
+    if (!policy['img-src']) {
+        policy['img-src'] = [ "'self'" ]
+    }
+
+    if (!policy['img-src'].includes('data:')) {
+        policy['img-src'].push('data:')
+    }
+    
+    // Match templates against the discovered origins; config.templates picks them by id instead
+    const templateMatches = templates.map(template => ({ template, ...matchTemplate(template, externalOrigins, config.baseUrl) }))
+    const includedTemplates = []
+    const templateSources = new Set() // "directive source" pairs added by included templates
+
+    // Optional directives are only merged for the sources the crawl actually saw
+    const includeTemplate = ({ template, seenOptionalSources }) => {
+        mergeTemplate(policy, template, seenOptionalSources)
+        includedTemplates.push(template.name)
+
+        for (const [ directive, sources ] of Object.entries(template.directives)) {
+            sources.forEach(source => templateSources.add(`${template.name}|${directive} ${source}`))
+        }
+
+        seenOptionalSources.forEach(({ directive, source }) => templateSources.add(`${template.name}|${directive} ${source}`))
+        logger.info(`    ✅ Added ${template.name}${seenOptionalSources.length > 0 ? ` (+${seenOptionalSources.length} optional source(s) seen in the crawl)` : ''}`)
+        emit({ type: 'template:included', id: template.id, name: template.name })
+    }
+
+    if (config.templates) {
+        templateMatches.filter(match => config.templates.includes(match.template.id)).forEach(includeTemplate)
+    } else if (templateMatches.length > 0) {
+        const matched = templateMatches.filter(match => match.matched)
+        const unmatched = templateMatches.filter(match => !match.matched)
+
+        logger.info('')
+        logger.info(`🧩 ${matched.length} template(s) match origins found during the crawl`)
+
+        for (const match of matched) {
+            const origins = [ ...new Set(match.matchedSources.flatMap(source => source.origins)) ]
+
+            logger.info(`   ${match.template.name} (${match.template.id}): ${origins.join(', ')}`)
+        }
+
+        const chosen = options.chooseTemplates ? await options.chooseTemplates({ matched, unmatched }) : matched
+
+        chosen.forEach(includeTemplate)
+    }
+
+    // Required template sources nothing on the site loaded under that directive
+    const unusedTemplateSources = templateMatches
+        .filter(match => includedTemplates.includes(match.template.name))
+        .flatMap(match => match.unusedSources.map(source => ({ template: match.template.id, ...source })))
+    
+    // --from-existing: keep every source the site already allows, add what the crawl needs and report what it never used
+    let existingPolicyReport = null
+    const existingSourceKeys = new Set() // "directive source" pairs kept from the existing policy
+
+    if (config.fromExisting && !existingPolicy) {
+        logger.warn('\n⚠️  No Content-Security-Policy header found on any crawled page; the policy was built from scratch')
+    } else if (config.fromExisting) {
+        const existing = parsePolicy(existingPolicy.header)
+        const inlineLoads = [
+            [ 'script', inlineScriptEntries ],
+            [ 'style', inlineStyleEntries ],
+            [ 'event-handler', inlineEventHandlerEntries ],
+            [ 'style-attribute', inlineStyleAttributeEntries ],
+            [ 'javascript-url', javascriptUrlEntries ],
+        ].flatMap(([ inlineType, entries ]) => entries.map(({ hash }) => ({ kind: 'inline', inlineType, hash })))
+
+        const analysis = analyzeExistingPolicy(existing, [ ...existingPolicyLoads.values(), ...inlineLoads ])
+        const { policy: mergedPolicy, newSources } = mergeIntoExistingPolicy(existing, policy, config.baseUrl)
+
+        for (const directive of Object.keys(policy)) {
+            delete policy[directive]
+        }
+
+        Object.assign(policy, mergedPolicy)
+
+        for (const [ directive, sources ] of Object.entries(policy)) {
+            sources.filter(source => !newSources[directive]?.includes(source)).forEach(source => existingSourceKeys.add(`${directive} ${source}`))
+        }
+
+        existingPolicyReport = { ...existingPolicy, ...analysis, newSources }
+    }
+
+    // Point violation reports at a collector (report-uri for older browsers, report-to for the Reporting API)
+    let reportingEndpointsHeader = null
+
+    if (config.reportUri) {
+        policy['report-uri'] = [ config.reportUri ]
+        policy['report-to'] = [ 'csp-endpoint' ]
+        reportingEndpointsHeader = `csp-endpoint="${config.reportUri}"`
+    }
+
+    // Build header string
+    const headerString = serializePolicy(policy)
+    const auditFindings = auditPolicy(policy)
+
+    // Record where each source came from: the crawl, inline code, a template, or the defaults above
+    const policySources = Object.fromEntries(Object.entries(policy).map(([ directive, sources ]) => [
+        directive,
+        sources.map(source => {
+            const templateNames = includedTemplates.filter(name => templateSources.has(`${name}|${directive} ${source}`))
+            const origins = []
+
+            if (externalOrigins[directive]?.has(source)) { origins.push('crawl') }
+
+            if ((/^'(?:sha256-|unsafe-inline'|unsafe-hashes')/).test(source)) { origins.push('inline') }
+
+            if (templateNames.length > 0) { origins.push('template') }
+
+            if (existingSourceKeys.has(`${directive} ${source}`)) { origins.push('existing') }
+
+            if (origins.length === 0) { origins.push(directive.startsWith('report-') ? 'reporting' : 'default') }
+
+            return {
+                source,
+                origins,
+                templates: templateNames,
+                interactionTriggered: interactionSources.has(`${directive} ${source}`) && !pageLoadSources.has(`${directive} ${source}`),
+            }
+        }),
+    ]))
+
+    // Split into a base policy plus per-section additions; template sources stay site-wide
+    let sectionPolicies = null
+
+    if (groupSections) {
+        const keepInBase = new Set([ ...Array.from(templateSources, key => key.slice(key.indexOf('|') + 1)), ...existingSourceKeys ])
+
+        sectionPolicies = buildSectionPolicies({
+            policy,
+            pageOrigins,
+            patterns: sectionPatterns,
+            prefixDepth: config.groupByPrefix,
+            keepInBase,
+        })
+    }
+    
+    // Sources that only appeared after scrolling, clicking or hovering
+    const interactionTriggeredSources = {}
+
+    for (const [ directive, sources ] of Object.entries(policySources)) {
+        const triggered = sources.filter(source => source.interactionTriggered).map(({ source }) => source)
+
+        if (triggered.length > 0) {
+            interactionTriggeredSources[directive] = triggered
+        }
+    }
+    
+    return {
+        timestamp: new Date().toISOString(),
+        baseUrl: config.baseUrl,
+        pagesScanned: crawlResults.pagesScanned.length,
+        pageSources: crawlResults.pageSources,
+        pagesRedirectedExternal: crawlResults.pagesRedirectedExternal,
+        pagesFailed: crawlResults.pagesFailed,
+        pagesAbandoned: crawlResults.pagesAbandoned,
+        hosts: crawlResults.hosts,
+        crawlStats: crawlResults.crawlStats,
+        pluginFindings: crawlResults.pluginFindings,
+        hasInlineScripts,
+        hasInlineStyles,
+        hasInlineEventHandlers,
+        hasInlineStyleAttributes,
+        inlineScriptMode,
+        inlineStyleMode,
+        inlineScripts: inlineScriptEntries,
+        inlineStyles: inlineStyleEntries,
+        inlineEventHandlers: inlineEventHandlerEntries,
+        inlineStyleAttributes: inlineStyleAttributeEntries,
+        javascriptUrls: javascriptUrlEntries,
+        inlineHandlerRemediation,
+        includedTemplates,
+        templateMatches: templateMatches.map(({ template, matched, matchedSources }) => ({
+            id: template.id,
+            name: template.name,
+            matched,
+            included: includedTemplates.includes(template.name),
+            matchedSources,
+        })),
+        unusedTemplateSources,
+        existingPolicy: existingPolicyReport,
+        policy,
+        policySources,
+        interactionTriggeredSources,
+        header: headerString,
+        reportingEndpointsHeader,
+        audit: { summary: summarizeAudit(auditFindings), findings: auditFindings },
+        sectionPolicies,
+    }
+}
@@ -0,0 +1,231 @@
+import 'dotenv/config'
+import fs from 'fs'
+import http from 'http'
+import { parseArgs } from 'node:util'
+import { getScriptDirs, getTimestampedFilename } from './script-utils.js'
+import { parseIntOrExit } from './cli.js'
+import { fromCspReport, fromReportingApi, normalizeViolation, violationKey } from './violations.js'
+
+const { reportsDir } = getScriptDirs(import.meta.url)
+
+const { values } = parseArgs({
+    args: process.argv.slice(2),
+    options: {
+        port: { type: 'string' },
+        host: { type: 'string' },
+        rateLimit: { type: 'string' },
+        'rate-limit': { type: 'string' },
+        trustProxy: { type: 'boolean' },
+        'trust-proxy': { type: 'boolean' },
+        maxViolations: { type: 'string' },
+        'max-violations': { type: 'string' },
+        outputFile: { type: 'string' },
+        'output-file': { type: 'string' },
+    },
+    strict: false,
+    allowPositionals: true,
+})
+
+const port = parseIntOrExit(values.port || process.env.COLLECTOR_PORT || '8787', 'COLLECTOR_PORT/--port')
+const host = values.host || process.env.COLLECTOR_HOST || '127.0.0.1'
+const rateLimit = parseIntOrExit(values.rateLimit || values['rate-limit'] || process.env.COLLECTOR_RATE_LIMIT || '60', 'COLLECTOR_RATE_LIMIT/--rate-limit')
+const cliTrustProxy = values.trustProxy ?? values['trust-proxy']
+const trustProxy = typeof cliTrustProxy === 'boolean' ? cliTrustProxy : process.env.COLLECTOR_TRUST_PROXY === 'true'
+const maxViolations = parseIntOrExit(values.maxViolations || values['max-violations'] || process.env.COLLECTOR_MAX_VIOLATIONS || '10000', 'COLLECTOR_MAX_VIOLATIONS/--max-violations')
+const outputFile = values.outputFile || values['output-file'] || getTimestampedFilename(reportsDir, 'csp-violations-collected')
+
+const maxBodyBytes = 64 * 1024
+const flushIntervalMs = 5000
+const rateWindowMs = 60 * 1000
+
+const violations = []
+const violationsByKey = new Map()
+const pagesReporting = new Set()
+const clientWindows = new Map()
+const stats = {
+    reportsReceived: 0,
+    duplicates: 0,
+    rateLimited: 0,
+    rejected: 0,
+    overflow: 0,
+}
+let dirty = false
+
+// Fixed one-minute window per client address
+function isRateLimited(clientAddress) {
+    const now = Date.now()
+    const window = clientWindows.get(clientAddress)
+
+    if (!window || now - window.start >= rateWindowMs) {
+        clientWindows.set(clientAddress, { start: now, count: 1 })
+
+        return false
+    }
+
+    window.count++
+
+    return window.count > rateLimit
+}
+
+// Drop windows that have ended, so clients that stop sending do not stay in memory
+function pruneRateWindows() {
+    const now = Date.now()
+
+    for (const [ clientAddress, window ] of clientWindows) {
+        if (now - window.start >= rateWindowMs) {
+            clientWindows.delete(clientAddress)
+        }
+    }
+}
+
+// X-Forwarded-For is set by the client unless a proxy in front of the collector overwrites it
+function getClientAddress(req) {
+    const forwardedFor = trustProxy ? req.headers['x-forwarded-for']?.split(',')[0].trim() : ''
+
+    return forwardedFor || req.socket.remoteAddress
+}
+
+// Turn a report-uri or Reporting API payload into { pageUrl, raw } entries
+function parseReports(contentType, body) {
+    const payload = JSON.parse(body)
+
+    if (contentType.includes('application/reports+json') || Array.isArray(payload)) {
+        return (Array.isArray(payload) ? payload : [ payload ])
+            .filter(entry => entry.type === 'csp-violation')
+            .map(entry => ({ ...fromReportingApi(entry), type: 'reporting-api' }))
+    }
+
+    return [ { ...fromCspReport(payload), type: 'report-uri' } ]
+}
+
+function recordReport({ pageUrl, raw, type }) {
+    const violation = normalizeViolation(raw, pageUrl, type)
+    const key = violationKey(violation)
+    const existing = violationsByKey.get(key)
+
+    stats.reportsReceived++
+
+    if (existing) {
+        existing.occurrences++
+        existing.lastSeen = violation.timestamp
+        stats.duplicates++
+    } else if (violations.length >= maxViolations) {
+        // Memory stays bounded on a long-running collector; new kinds of violation are only counted
+        stats.overflow++
+    } else {
+        violation.occurrences = 1
+        violation.lastSeen = violation.timestamp
+        violationsByKey.set(key, violation)
+        violations.push(violation)
+        console.log(`🚫 ${violation.violation} on ${pageUrl}`)
+    }
+
+    if (pageUrl && pagesReporting.size < maxViolations) {
+        pagesReporting.add(pageUrl)
+    }
+
+    dirty = true
+}
+
+// Same shape as the csp-violations-*.json reports from csp-validator.js
+function saveResults() {
+    const results = {
+        timestamp: new Date().toISOString(),
+        source: 'collector',
+        pagesScanned: Array.from(pagesReporting),
+        pagesRedirectedExternal: [],
+        pagesWithoutCsp: [],
+        totalViolations: violations.length,
+        violations,
+        collectorStats: stats,
+    }
+
+    fs.writeFileSync(outputFile, JSON.stringify(results, null, 2))
+    dirty = false
+}
+
+function send(res, status, headers = {}) {
+    res.writeHead(status, {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        ...headers,
+    })
+    res.end()
+}
+
+const server = http.createServer((req, res) => {
+    // The Reporting API sends a CORS preflight before cross-origin reports
+    if (req.method === 'OPTIONS') { return send(res, 204) }
+
+    if (req.method !== 'POST') { return send(res, 405) }
+
+    if (isRateLimited(getClientAddress(req))) {
+        stats.rateLimited++
+
+        return send(res, 429)
+    }
+
+    const contentType = (req.headers['content-type'] || '').toLowerCase()
+    const chunks = []
+    let size = 0
+    let tooLarge = false
+
+    req.on('data', chunk => {
+        if (tooLarge) { return }
+
+        size += chunk.length
+
+        if (size > maxBodyBytes) {
+            tooLarge = true
+            stats.rejected++
+
+            // Destroying the request right away can cut the response off before the client reads it
+            res.on('finish', () => req.destroy())
+            send(res, 413, { Connection: 'close' })
+
+            return
+        }
+
+        chunks.push(chunk)
+    })
+
+    req.on('end', () => {
+        if (tooLarge) { return }
+
+        try {
+            parseReports(contentType, Buffer.concat(chunks).toString('utf-8')).forEach(recordReport)
+            send(res, 204)
+        } catch (_e) {
+            stats.rejected++
+            send(res, 400)
+        }
+    })
+})
+
+const flushTimer = setInterval(() => {
+    if (dirty) { saveResults() }
+}, flushIntervalMs)
+
+setInterval(pruneRateWindows, rateWindowMs).unref()
+
+process.on('SIGINT', () => {
+    clearInterval(flushTimer)
+    saveResults()
+    server.close()
+    console.log(`\n🏁 Collector stopped. ${violations.length} unique violation(s) from ${stats.reportsReceived} report(s).`)
+
+    if (stats.overflow > 0) {
+        console.log(`⚠️  ${stats.overflow} report(s) of new violations were not kept after reaching the limit of ${maxViolations}`)
+    }
+
+    console.log(`📄 Results saved to: ${outputFile}`)
+    process.exit(0)
+})
+
+server.listen(port, host, () => {
+    console.log(`📡 CSP report collector listening on http://${host}:${port}`)
+    console.log(`   Accepting application/csp-report and application/reports+json POSTs (rate limit ${rateLimit}/min per client${trustProxy ? ', client from X-Forwarded-For' : ''})`)
+    console.log(`📄 Writing violations to: ${outputFile}`)
+    console.log('   Press Ctrl+C to stop.')
+})
@@ -1,253 +1,162 @@
 import 'dotenv/config'
 import fs from 'fs'
-import path from 'path'
-import readline from 'readline'
 import { getCommonConfig, getScriptDirs } from './script-utils.js'
-import { crawlSite as sharedCrawlSite } from './crawler.js'
+import { createPolicy } from './create-policy.js'
+import { getFormatFilename, policyFormats } from './policy-formats.js'
+import { formatAuditFinding, formatAuditSummary } from './policy-audit.js'
+import { formatPluginFinding } from './plugins.js'
+import { createConsoleLogger } from './logger.js'
+import { abortOnSigint, askYesNo, confirmCrawl, runCli } from './cli.js'
 
-const { templatesDir, reportsDir } = getScriptDirs(import.meta.url)
-const config = getCommonConfig({ reportPrefix: 'csp-policy', reportsDir })
+const { reportsDir } = getScriptDirs(import.meta.url)
 
-const baseOrigin = new URL(config.baseUrl).origin
+// Ask about each matched template, then offer to review the rest; unattended runs take every match
+async function chooseTemplates(config, { matched, unmatched }) {
+    if (config.skipConfirmation || !process.stdin.isTTY) { return matched }
 
-// Prompt helper
-function prompt(question) {
-    const rl = readline.createInterface({
-        input: process.stdin,
-        output: process.stdout,
-    })
+    const chosen = []
 
-    return new Promise(resolve => {
-        rl.question(question, answer => {
-            rl.close()
-            resolve(answer.toLowerCase().trim())
-        })
-    })
-}
+    for (const match of matched) {
+        if (await askYesNo(`  Include ${match.template.name}?`)) {
+            chosen.push(match)
+        }
+    }
 
-async function askYesNo(question) {
-    const answer = await prompt(`${question} (y/n): `)
+    if (unmatched.length > 0 && await askYesNo(`Review the ${unmatched.length} template(s) that did not match?`)) {
+        for (const match of unmatched) {
+            if (await askYesNo(`  Include ${match.template.name}?`)) {
+                chosen.push(match)
+            }
+        }
+    }
 
-    return answer === 'y' || answer === 'yes'
+    return chosen
 }
 
-// Load templates from directory
-function loadTemplates() {
-    const templates = []
-
-    if (!fs.existsSync(templatesDir)) {return templates}
-    
-    const files = fs.readdirSync(templatesDir).filter(f => f.endsWith('.json'))
+// Write the report and config snippets, then summarize them
+function saveAndPrint(config, results) {
+    fs.writeFileSync(config.outputFile, JSON.stringify(results, null, 2))
 
-    for (const file of files) {
-        try {
-            const content = JSON.parse(fs.readFileSync(path.join(templatesDir, file), 'utf-8'))
+    console.log('\n🏁 CSP Creation Complete!')
+    console.log(`📊 Pages scanned: ${results.pagesScanned}`)
+    console.log(`📄 Results saved to: ${config.outputFile}`)
 
-            templates.push({ file, ...content })
-        } catch (_e) {
-            console.log(`⚠️  Could not load template: ${file}`)
-        }
+    if (Object.keys(results.hosts).length > 1) {
+        Object.entries(results.hosts).forEach(([ host, counts ]) => console.log(`🌐 ${host}: ${counts.pagesScanned} page(s) scanned, ${counts.pagesFailed} failed`))
     }
 
-    return templates
-}
+    // Server config snippets next to the JSON report
+    for (const formatName of config.formats) {
+        const { content, warnings } = policyFormats[formatName].format({ header: results.header, reportingEndpointsHeader: results.reportingEndpointsHeader, policy: results.policy })
+        const formatFile = getFormatFilename(config.outputFile, formatName)
 
-// Merge template directives into policy
-function mergeTemplate(policy, template) {
-    for (const [ directive, sources ] of Object.entries(template.directives)) {
-        if (!policy[directive]) {
-            policy[directive] = [ "'self'" ]
-        }
+        fs.writeFileSync(formatFile, content)
+        console.log(`📄 ${formatName} config saved to: ${formatFile}`)
+        warnings.forEach(warning => console.log(`   ⚠️  ${warning}`))
+    }
 
-        for (const source of sources) {
-            if (!policy[directive].includes(source)) {
-                policy[directive].push(source)
-            }
+    const describeInline = (label, directive, entries, mode, unhashableLabel) => {
+        const stable = entries.filter(entry => !entry.varies).length
+        const varying = entries.length - stable
+
+        if (mode === 'unsafe-inline') {
+            console.log(`⚠️  ${label}: ${varying} vary per page${unhashableLabel ? ` or ${unhashableLabel} found` : ''} - 'unsafe-inline' added to ${directive} (--unsafe-inline)`)
+        } else if (mode === 'hashes-incomplete') {
+            console.log(`⚠️  ${label}: ${stable} hash(es) added to ${directive}, but ${varying} vary per page${unhashableLabel ? ` and ${unhashableLabel} found` : ''}; these will be blocked. Refactor them or pass --unsafe-inline.`)
+        } else if (mode === 'hashes') {
+            console.log(`🔑 ${label}: ${stable} hash(es) added to ${directive}`)
         }
     }
-}
 
-async function createCSP() {
-    console.log('🔍 Starting CSP creator...')
-    console.log(`📍 Base URL: ${config.baseUrl}`)
-    
-    // Track external origins by directive
-    const externalOrigins = {
-        'script-src': new Set(),
-        'style-src': new Set(),
-        'img-src': new Set(),
-        'font-src': new Set(),
-        'connect-src': new Set(),
-        'frame-src': new Set(),
-        'media-src': new Set(),
-        'object-src': new Set(),
-        'worker-src': new Set(),
-        'manifest-src': new Set(),
-    }
-    
-    // Track if inline scripts/styles are detected
-    let hasInlineScripts = false
-    let hasInlineStyles = false
-    
-    const crawlResults = await sharedCrawlSite({
-        action: 'CREATE Content Security Policy',
-        onRequestIntercept: request => {
-            const url = request.url()
-            const resourceType = request.resourceType()
-            
-            try {
-                const origin = new URL(url).origin
-                
-                if (origin !== baseOrigin && origin.startsWith('http')) {
-                    switch (resourceType) {
-                        case 'script':
-                            externalOrigins['script-src'].add(origin)
-                            break
-                        case 'stylesheet':
-                            externalOrigins['style-src'].add(origin)
-                            break
-                        case 'image':
-                            externalOrigins['img-src'].add(origin)
-                            break
-                        case 'font':
-                            externalOrigins['font-src'].add(origin)
-                            break
-                        case 'xhr':
-                        case 'fetch':
-                            externalOrigins['connect-src'].add(origin)
-                            break
-                        case 'sub_frame':
-                            externalOrigins['frame-src'].add(origin)
-                            break
-                        case 'media':
-                            externalOrigins['media-src'].add(origin)
-                            break
-                        case 'object':
-                            externalOrigins['object-src'].add(origin)
-                            break
-                        case 'worker':
-                            externalOrigins['worker-src'].add(origin)
-                            break
-                        case 'manifest':
-                            externalOrigins['manifest-src'].add(origin)
-                            break
-                    }
-                }
-            } catch (_e) {
-                // Invalid URL, skip
-            }
-        },
-        onPageVisit: async (page, _url, _depth, _response) => {
-            // Check for inline scripts and styles
-            const inlineCheck = await page.evaluate(() => {
-                const scripts = Array.from(document.querySelectorAll('script:not([src])'))
-                const styles = Array.from(document.querySelectorAll('style'))
-                const inlineStyleAttrs = Array.from(document.querySelectorAll('[style]'))
-                const inlineEventHandlers = Array.from(document.querySelectorAll('[onclick], [onload], [onerror], [onmouseover], [onsubmit], [onchange], [onfocus], [onblur]'))
-                
-                return {
-                    hasInlineScripts: scripts.some(s => s.textContent.trim().length > 0) || inlineEventHandlers.length > 0,
-                    hasInlineStyles: styles.length > 0 || inlineStyleAttrs.length > 0,
-                }
-            })
-            
-            if (inlineCheck.hasInlineScripts) {hasInlineScripts = true}
-
-            if (inlineCheck.hasInlineStyles) {hasInlineStyles = true}
-        },
-    })
-    
-    // Build CSP policy
-    const policy = {}
-    
-    for (const [ directive, origins ] of Object.entries(externalOrigins)) {
-        const originList = Array.from(origins).sort()
+    const unhashableScripts = [
+        results.hasInlineEventHandlers && !config.unsafeHashes && 'inline event handlers',
+        results.javascriptUrls.length > 0 && 'javascript: URLs',
+    ].filter(Boolean).join(' and ')
+
+    describeInline('Inline scripts', 'script-src', [ ...results.inlineScripts, ...(config.unsafeHashes ? results.inlineEventHandlers : []) ], results.inlineScriptMode, unhashableScripts)
+    describeInline('Inline styles', 'style-src', [ ...results.inlineStyles, ...(config.unsafeHashes ? results.inlineStyleAttributes : []) ], results.inlineStyleMode, results.hasInlineStyleAttributes && !config.unsafeHashes && 'style attributes')
+
+    const { inlineHandlerRemediation, sectionPolicies, unusedTemplateSources, existingPolicy, reportingEndpointsHeader } = results
+    const auditFindings = results.audit.findings
+
+    if (inlineHandlerRemediation.handlers.length > 0) {
+        console.log(`\n🧹 ${results.inlineEventHandlers.length} distinct inline event handler(s) and ${results.javascriptUrls.length} javascript: URL(s) on ${inlineHandlerRemediation.pages.length} page(s).`)
+        console.log('   Most widespread (refactor these templates first):')
+        inlineHandlerRemediation.handlers.slice(0, 5).forEach(entry => {
+            const location = entry.locations[0] ? `<${entry.locations[0].element} ${entry.locations[0].attribute}>` : entry.kind
+
+            console.log(`   - ${location} on ${entry.pageCount} page(s): ${entry.preview}`)
+        })
 
-        if (originList.length > 0 || directive === 'script-src' || directive === 'style-src') {
-            policy[directive] = [ "'self'", ...originList ]
+        if (!config.unsafeHashes && results.hasInlineEventHandlers) {
+            console.log(`   Pass --unsafe-hashes to allow the stable handlers with 'unsafe-hashes' and per-handler hashes.`)
         }
     }
     
-    // Add 'unsafe-inline' if needed
-    if (hasInlineScripts && policy['script-src']) {
-        policy['script-src'].push("'unsafe-inline'")
-    }
+    console.log('\n📋 Generated CSP Header:')
+    console.log(results.header)
 
-    if (hasInlineStyles && policy['style-src']) {
-        policy['style-src'].push("'unsafe-inline'")
-    }
-    
-    // Ensure default-src and base-uri exist
-    policy['default-src'] = [ "'self'" ]
-    policy['base-uri'] = [ "'self'" ]
-    
-    // Always include data: for img-src (data URLs are common)
-    if (!policy['img-src']) {
-        policy['img-src'] = [ "'self'" ]
+    if (auditFindings.length > 0) {
+        console.log(`\n🛡️  Policy audit: ${formatAuditSummary(auditFindings)}`)
+        auditFindings.forEach(finding => console.log(`   ${formatAuditFinding(finding)}`))
     }
 
-    if (!policy['img-src'].includes('data:')) {
-        policy['img-src'].push('data:')
-    }
-    
-    // Template prompts
-    const templates = loadTemplates()
-    const includedTemplates = []
-    
-    if (templates.length > 0) {
-        console.log('')
-        const includeTemplates = await askYesNo('Do you wish to include template sources in this report?')
-        
-        if (includeTemplates) {
-            for (const template of templates) {
-                const include = await askYesNo(`  Include ${template.name}?`)
-
-                if (include) {
-                    mergeTemplate(policy, template)
-                    includedTemplates.push(template.name)
-                    console.log(`    ✅ Added ${template.name}`)
-                }
-            }
+    if (sectionPolicies) {
+        console.log(`\n🧩 Base policy (${sectionPolicies.base.pages} page(s) outside any section):`)
+        console.log(sectionPolicies.base.header)
+
+        for (const section of sectionPolicies.sections) {
+            const additions = Object.entries(section.additions)
+                .flatMap(([ directive, sources ]) => sources.map(({ source, pages }) => `${directive} ${source} (${pages}/${section.pages} pages)`))
+
+            console.log(`\n🧩 ${section.section} (${section.pages} page(s)): ${additions.length > 0 ? '' : 'no additions'}`)
+            additions.forEach(addition => console.log(`   + ${addition}`))
         }
     }
-    
-    // Build header string
-    const headerParts = []
 
-    for (const [ directive, sources ] of Object.entries(policy)) {
-        headerParts.push(`${directive} ${sources.join(' ')}`)
+    if (unusedTemplateSources.length > 0) {
+        console.log(`\n🧩 ${unusedTemplateSources.length} template source(s) were never seen during the crawl and may be unnecessary:`)
+        unusedTemplateSources.forEach(({ template, directive, source }) => console.log(`   - ${directive} ${source} (${template})`))
     }
 
-    const headerString = headerParts.join('; ')
-    
-    // Save results
-    const results = {
-        timestamp: new Date().toISOString(),
-        pagesScanned: crawlResults.pagesScanned.length,
-        pagesRedirectedExternal: crawlResults.pagesRedirectedExternal,
-        hasInlineScripts,
-        hasInlineStyles,
-        includedTemplates,
-        policy,
-        header: headerString,
+    if (existingPolicy) {
+        const countSources = sources => Object.values(sources).flat().length
+
+        console.log(`\n🧹 Existing policy from ${existingPolicy.url}${existingPolicy.reportOnly ? ' (report-only)' : ''}:`)
+        console.log(`   ${countSources(existingPolicy.usedSources)} source(s) used during the crawl`)
+        console.log(`   ${countSources(existingPolicy.unverifiedSources)} source(s) the crawl cannot check (non-fetch directives, nonces, eval and report keywords)`)
+
+        for (const [ label, sources ] of [ [ 'never used; candidates for removal', existingPolicy.unusedSources ], [ 'added to cover what the crawl found', existingPolicy.newSources ] ]) {
+            console.log(`   ${countSources(sources)} source(s) ${label}${countSources(sources) > 0 ? ':' : ''}`)
+            Object.entries(sources).forEach(([ directive, list ]) => list.forEach(source => console.log(`   - ${directive} ${source}`)))
+        }
     }
-    
-    fs.writeFileSync(config.outputFile, JSON.stringify(results, null, 2))
-    
-    console.log('\n🏁 CSP Creation Complete!')
-    console.log(`📊 Pages scanned: ${crawlResults.pagesScanned.length}`)
-    console.log(`📄 Results saved to: ${config.outputFile}`)
-    
-    if (hasInlineScripts) {
-        console.log(`⚠️  Inline scripts detected - 'unsafe-inline' added to script-src`)
+
+    if (reportingEndpointsHeader) {
+        console.log('\n📋 Reporting-Endpoints Header:')
+        console.log(reportingEndpointsHeader)
     }
 
-    if (hasInlineStyles) {
-        console.log(`⚠️  Inline styles detected - 'unsafe-inline' added to style-src`)
+    if (results.pluginFindings.length > 0) {
+        console.log(`\n🧩 Plugin findings (${results.pluginFindings.length}):`)
+        results.pluginFindings.forEach(finding => console.log(`   ${formatPluginFinding(finding)}`))
     }
-    
-    console.log('\n📋 Generated CSP Header:')
-    console.log(headerString)
 }
 
-createCSP().catch(console.error)
+runCli(async () => {
+    const config = getCommonConfig({ reportPrefix: 'csp-policy', reportsDir })
+    const { signal, dispose } = abortOnSigint()
+
+    try {
+        const results = await createPolicy(config, {
+            signal,
+            logger: createConsoleLogger({ quiet: config.quiet }),
+            confirm: config.skipConfirmation ? undefined : confirmCrawl,
+            chooseTemplates: matches => chooseTemplates(config, matches),
+        })
+
+        saveAndPrint(config, results)
+    } finally {
+        dispose()
+    }
+})
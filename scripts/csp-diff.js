@@ -0,0 +1,207 @@
+import fs from 'fs'
+import { parseArgs } from 'node:util'
+import { violationFindingKey } from './violations.js'
+
+const { values, positionals } = parseArgs({
+    args: process.argv.slice(2),
+    options: {
+        json: { type: 'boolean' },
+        outputFile: { type: 'string' },
+        'output-file': { type: 'string' },
+    },
+    strict: false,
+    allowPositionals: true,
+})
+
+const outputFile = values.outputFile || values['output-file'] || ''
+const maxSamplePages = 5
+
+function loadReport(filePath) {
+    if (!fs.existsSync(filePath)) {
+        console.error(`❌ Report not found: ${filePath}`)
+        process.exit(1)
+    }
+
+    let report
+
+    try {
+        report = JSON.parse(fs.readFileSync(filePath, 'utf-8'))
+    } catch (error) {
+        console.error(`❌ Could not parse ${filePath}: ${error.message}`)
+        process.exit(1)
+    }
+
+    if (report.policy) { return { kind: 'policy', report } }
+
+    if (Array.isArray(report.violations)) { return { kind: 'violations', report } }
+
+    console.error(`❌ ${filePath} is neither a csp-policy nor a csp-violations report`)
+    process.exit(1)
+}
+
+function diffPolicies(before, after) {
+    const directives = [ ...new Set([ ...Object.keys(before.policy), ...Object.keys(after.policy) ]) ].sort()
+    const changes = []
+
+    for (const directive of directives) {
+        const beforeSources = before.policy[directive] || []
+        const afterSources = after.policy[directive] || []
+        const added = afterSources.filter(source => !beforeSources.includes(source))
+        const removed = beforeSources.filter(source => !afterSources.includes(source))
+
+        if (added.length > 0 || removed.length > 0) {
+            changes.push({
+                directive,
+                status: !before.policy[directive] ? 'added' : !after.policy[directive] ? 'removed' : 'changed',
+                added,
+                removed,
+            })
+        }
+    }
+
+    return {
+        kind: 'policy',
+        headerBefore: before.header,
+        headerAfter: after.header,
+        unchanged: changes.length === 0,
+        directives: changes,
+    }
+}
+
+function groupViolations(violations) {
+    const groups = new Map()
+
+    for (const violation of violations) {
+        const key = violationFindingKey(violation)
+        const group = groups.get(key) || { key, directive: violation.effectiveDirective || null, pages: new Set() }
+
+        group.pages.add(violation.url)
+        groups.set(key, group)
+    }
+
+    return groups
+}
+
+const summarizeGroup = ({ pages, ...group }) => ({ ...group, pageCount: pages.size, samplePages: Array.from(pages).slice(0, maxSamplePages) })
+
+function diffViolations(before, after) {
+    const beforeGroups = groupViolations(before.violations)
+    const afterGroups = groupViolations(after.violations)
+
+    const newViolations = Array.from(afterGroups.values()).filter(group => !beforeGroups.has(group.key)).map(summarizeGroup)
+    const fixed = Array.from(beforeGroups.values()).filter(group => !afterGroups.has(group.key)).map(summarizeGroup)
+    const persisting = Array.from(afterGroups.values())
+        .filter(group => beforeGroups.has(group.key))
+        .map(group => ({ ...summarizeGroup(group), pageCountBefore: beforeGroups.get(group.key).pages.size }))
+
+    // Only pages scanned by both runs can gain or lose a header
+    const scannedBefore = new Set(before.pagesScanned || [])
+    const scannedAfter = new Set(after.pagesScanned || [])
+    const withoutBefore = new Set(before.pagesWithoutCsp || [])
+    const withoutAfter = new Set(after.pagesWithoutCsp || [])
+    const inBoth = url => scannedBefore.has(url) && scannedAfter.has(url)
+
+    return {
+        kind: 'violations',
+        totalBefore: before.violations.length,
+        totalAfter: after.violations.length,
+        new: newViolations,
+        fixed,
+        persisting,
+        pagesGainedCsp: Array.from(withoutBefore).filter(url => inBoth(url) && !withoutAfter.has(url)),
+        pagesLostCsp: Array.from(withoutAfter).filter(url => inBoth(url) && !withoutBefore.has(url)),
+    }
+}
+
+function printPolicyDiff(diff) {
+    if (diff.unchanged) {
+        console.log('\n✅ Policies are identical')
+
+        return
+    }
+
+    for (const change of diff.directives) {
+        const label = change.status === 'changed' ? '' : ` (directive ${change.status})`
+
+        console.log(`\n📋 ${change.directive}${label}`)
+        change.added.forEach(source => console.log(`   + ${source}`))
+        change.removed.forEach(source => console.log(`   - ${source}`))
+    }
+}
+
+function printViolationsDiff(diff) {
+    console.log(`\n📊 Violations: ${diff.totalBefore} -> ${diff.totalAfter}`)
+
+    const printGroups = (icon, label, groups) => {
+        if (groups.length === 0) { return }
+
+        console.log(`\n${icon} ${label} (${groups.length}):`)
+        groups.forEach(group => {
+            const before = group.pageCountBefore === undefined ? '' : `${group.pageCountBefore} -> `
+
+            console.log(`   - ${group.key} (${before}${group.pageCount} page(s))`)
+        })
+    }
+
+    printGroups('🚫', 'New', diff.new)
+    printGroups('✅', 'Fixed', diff.fixed)
+    printGroups('⏳', 'Still present', diff.persisting)
+
+    const printPages = (icon, label, pages) => {
+        if (pages.length === 0) { return }
+
+        console.log(`\n${icon} ${label} (${pages.length}):`)
+        pages.forEach(url => console.log(`   - ${url}`))
+    }
+
+    printPages('🛡️ ', 'Pages that gained a CSP header', diff.pagesGainedCsp)
+    printPages('⚠️ ', 'Pages that lost their CSP header', diff.pagesLostCsp)
+}
+
+function diffReports() {
+    if (positionals.length !== 2) {
+        console.error('❌ Usage: bun run diff -- <older-report.json> <newer-report.json> [--json] [--output-file diff.json]')
+        process.exit(1)
+    }
+
+    const [ beforeFile, afterFile ] = positionals
+    const before = loadReport(beforeFile)
+    const after = loadReport(afterFile)
+
+    if (before.kind !== after.kind) {
+        console.error(`❌ Cannot compare a ${before.kind} report with a ${after.kind} report`)
+        process.exit(1)
+    }
+
+    const diff = {
+        before: { file: beforeFile, timestamp: before.report.timestamp },
+        after: { file: afterFile, timestamp: after.report.timestamp },
+        ...(before.kind === 'policy' ? diffPolicies(before.report, after.report) : diffViolations(before.report, after.report)),
+    }
+
+    if (outputFile) {
+        fs.writeFileSync(outputFile, JSON.stringify(diff, null, 2))
+    }
+
+    if (values.json) {
+        console.log(JSON.stringify(diff, null, 2))
+
+        return
+    }
+
+    console.log(`🔀 Comparing ${before.kind} reports`)
+    console.log(`   before: ${beforeFile} (${before.report.timestamp})`)
+    console.log(`   after:  ${afterFile} (${after.report.timestamp})`)
+
+    if (diff.kind === 'policy') {
+        printPolicyDiff(diff)
+    } else {
+        printViolationsDiff(diff)
+    }
+
+    if (outputFile) {
+        console.log(`\n📄 Diff saved to: ${outputFile}`)
+    }
+}
+
+diffReports()
@@ -0,0 +1,327 @@
+import fs from 'fs'
+
+// Fetch directive that governs each Puppeteer resource type
+const resourceTypeDirectives = {
+    script: 'script-src',
+    stylesheet: 'style-src',
+    image: 'img-src',
+    font: 'font-src',
+    xhr: 'connect-src',
+    fetch: 'connect-src',
+    eventsource: 'connect-src',
+    websocket: 'connect-src',
+    sub_frame: 'frame-src',
+    media: 'media-src',
+    texttrack: 'media-src',
+    object: 'object-src',
+    worker: 'worker-src',
+    manifest: 'manifest-src',
+}
+
+// Puppeteer reports iframe navigations as 'document' requests, so the frame decides frame-src
+export function directiveForResourceType(resourceType, isSubframeDocument = false) {
+    if (resourceType === 'document') {
+        return isSubframeDocument ? 'frame-src' : null
+    }
+
+    return resourceTypeDirectives[resourceType] || null
+}
+
+export function directiveForRequest(request) {
+    let isSubframeDocument = false
+
+    try {
+        isSubframeDocument = Boolean(request.frame()?.parentFrame())
+    } catch (_e) {
+        // Detached frame
+    }
+
+    return directiveForResourceType(request.resourceType(), isSubframeDocument)
+}
+
+export function serializePolicy(policy) {
+    return Object.entries(policy)
+        .map(([ directive, sources ]) => `${directive} ${sources.join(' ')}`.trim())
+        .join('; ')
+}
+
+// Directives browsers recognize; anything else is ignored (usually a typo)
+export const knownDirectives = [
+    'default-src', 'script-src', 'script-src-elem', 'script-src-attr', 'style-src', 'style-src-elem', 'style-src-attr',
+    'img-src', 'font-src', 'connect-src', 'media-src', 'object-src', 'frame-src', 'child-src', 'worker-src', 'manifest-src',
+    'fenced-frame-src', 'base-uri', 'form-action', 'frame-ancestors', 'sandbox', 'upgrade-insecure-requests',
+    'report-uri', 'report-to', 'require-trusted-types-for', 'trusted-types',
+]
+
+const keywordSources = [ "'self'", "'none'", "'unsafe-inline'", "'unsafe-eval'", "'unsafe-hashes'", "'strict-dynamic'", "'report-sample'", "'wasm-unsafe-eval'", "'inline-speculation-rules'" ]
+
+// Parse a CSP header into { directive: [sources] }; only the first policy of a comma-separated list is used
+export function parsePolicy(header) {
+    const policy = {}
+
+    for (const part of (header || '').split(',')[0].split(';')) {
+        const [ name, ...sources ] = part.trim().split(/\s+/)
+
+        if (!name) { continue }
+
+        const directive = name.toLowerCase()
+
+        // Browsers ignore repeated directives after the first
+        if (!policy[directive]) {
+            policy[directive] = sources
+        }
+    }
+
+    return policy
+}
+
+// Directives checked, in order, when a more specific one is missing
+const directiveFallbacks = {
+    'script-src-elem': [ 'script-src-elem', 'script-src', 'default-src' ],
+    'script-src-attr': [ 'script-src-attr', 'script-src', 'default-src' ],
+    'script-src': [ 'script-src', 'default-src' ],
+    'style-src-elem': [ 'style-src-elem', 'style-src', 'default-src' ],
+    'style-src-attr': [ 'style-src-attr', 'style-src', 'default-src' ],
+    'style-src': [ 'style-src', 'default-src' ],
+    'worker-src': [ 'worker-src', 'child-src', 'script-src', 'default-src' ],
+    'frame-src': [ 'frame-src', 'child-src', 'default-src' ],
+    'child-src': [ 'child-src', 'default-src' ],
+}
+
+// Fetches made by elements are checked against the -elem variants
+const elementDirectives = {
+    'script-src': 'script-src-elem',
+    'style-src': 'style-src-elem',
+}
+
+export function getEffectiveDirective(policy, directive) {
+    const requested = elementDirectives[directive] || directive
+    const chain = directiveFallbacks[requested] || [ requested, 'default-src' ]
+
+    return chain.find(name => policy[name]) || null
+}
+
+const defaultPorts = { 'http:': '80', 'https:': '443', 'ws:': '80', 'wss:': '443' }
+const networkSchemes = [ 'http:', 'https:', 'ws:', 'wss:', 'ftp:' ]
+
+// A source scheme also allows its secure upgrade (http: -> https:, ws: -> wss:)
+function schemeMatches(sourceScheme, urlScheme) {
+    return sourceScheme === urlScheme
+        || (sourceScheme === 'http:' && urlScheme === 'https:')
+        || (sourceScheme === 'ws:' && urlScheme === 'wss:')
+}
+
+function hostMatches(sourceHost, urlHost) {
+    if (sourceHost === '*') { return true }
+
+    if (sourceHost.startsWith('*.')) {
+        return urlHost.endsWith(sourceHost.slice(1))
+    }
+
+    return sourceHost === urlHost
+}
+
+function portMatches(sourcePort, url, sourceScheme) {
+    const urlPort = url.port || defaultPorts[url.protocol]
+
+    if (sourcePort === '*') { return true }
+
+    if (sourcePort) { return sourcePort === urlPort }
+
+    // No port: the scheme's default port (an http: source also allows https on 443)
+    return urlPort === defaultPorts[sourceScheme || url.protocol] || (sourceScheme === 'http:' && url.protocol === 'https:' && urlPort === '443')
+}
+
+function decodePath(path) {
+    try {
+        return decodeURIComponent(path)
+    } catch (_e) {
+        // Malformed escape, compare as-is
+        return path
+    }
+}
+
+// Both paths are percent-decoded before comparing, as in CSP3
+function pathMatches(sourcePath, urlPath) {
+    if (!sourcePath || sourcePath === '/') { return true }
+
+    const decodedSource = decodePath(sourcePath)
+    const decodedPath = decodePath(urlPath)
+
+    return decodedSource.endsWith('/') ? decodedPath.startsWith(decodedSource) : decodedPath === decodedSource
+}
+
+const hostSourcePattern = /^(?:([a-z][a-z0-9+.-]*):\/\/)?(\*|(?:\*\.)?[a-z0-9-]+(?:\.[a-z0-9-]+)*)(?::(\d+|\*))?(\/[^?#]*)?$/i
+
+/**
+ * Check a source expression against a URL, following CSP source matching
+ * @param {string} source - Source expression (e.g. 'self', https:, *.example.com, https://cdn.example.com/js/)
+ * @param {string} urlString - Resource URL
+ * @param {string} selfUrl - URL of the protected document, for 'self' and scheme-less sources
+ * @returns {boolean}
+ */
+export function sourceMatchesUrl(source, urlString, selfUrl) {
+    let url
+    let self
+
+    try {
+        url = new URL(urlString)
+        self = new URL(selfUrl)
+    } catch (_e) {
+        return false
+    }
+
+    const lowerSource = source.toLowerCase()
+
+    if (lowerSource === "'self'") {
+        return url.host === self.host && schemeMatches(self.protocol, url.protocol)
+    }
+
+    if (lowerSource === '*') {
+        return networkSchemes.includes(url.protocol) || url.protocol === self.protocol
+    }
+
+    // Scheme source, e.g. https: or data:
+    if ((/^[a-z][a-z0-9+.-]*:$/).test(lowerSource)) {
+        return schemeMatches(lowerSource, url.protocol)
+    }
+
+    const match = lowerSource.match(hostSourcePattern)
+
+    if (!match) { return false }
+
+    const [ , scheme, host, port, path ] = match
+    const sourceScheme = scheme ? `${scheme}:` : null
+
+    if (sourceScheme ? !schemeMatches(sourceScheme, url.protocol) : !schemeMatches(self.protocol, url.protocol)) {
+        return false
+    }
+
+    return hostMatches(host, url.hostname) && portMatches(port, url, sourceScheme || self.protocol) && pathMatches(path, url.pathname)
+}
+
+// A host source without its path (https://www.google.com/recaptcha/ -> https://www.google.com), for matching against bare origins
+export function stripSourcePath(source) {
+    const match = source.match(hostSourcePattern)
+
+    if (!match?.[4]) { return source }
+
+    return source.slice(0, source.length - match[4].length)
+}
+
+// Why a source expression is invalid, or null when it is valid
+export function validateSourceExpression(source) {
+    const lowerSource = source.toLowerCase()
+
+    if (keywordSources.includes(lowerSource)) { return null }
+
+    if ((/^'(?:nonce-[a-z0-9+/_=-]+|sha(?:256|384|512)-[a-z0-9+/_=-]+)'$/i).test(source)) { return null }
+
+    if (keywordSources.includes(`'${lowerSource.replace(/^'|'$/g, '')}'`)) {
+        return `keyword ${source} must be wrapped in single quotes`
+    }
+
+    if (source.startsWith("'") || source.endsWith("'")) {
+        return `${source} is not a known keyword, nonce or hash`
+    }
+
+    if ((/^[a-z][a-z0-9+.-]*:$/i).test(source) || hostSourcePattern.test(source)) { return null }
+
+    return `${source} is not a valid source expression`
+}
+
+// First source in the list that allows the URL, or null
+export function findMatchingSource(sources, urlString, selfUrl) {
+    return sources.find(source => sourceMatchesUrl(source, urlString, selfUrl)) || null
+}
+
+const hashOrNoncePattern = /^'(?:nonce-|sha256-|sha384-|sha512-)/i
+
+/**
+ * Decide whether inline code is allowed by a source list
+ * @param {string[]} sources - Source list of the effective directive
+ * @param {string} hash - Hash source of the code (e.g. 'sha256-...'), or null when it cannot be hashed
+ * @param {boolean} isAttribute - Event handler or style attribute (hashes need 'unsafe-hashes')
+ * @returns {string|null} The source that allowed it, or null if blocked
+ */
+export function findInlineSource(sources, hash, isAttribute = false) {
+    const lowerSources = sources.map(source => source.toLowerCase())
+    const hasHashOrNonce = lowerSources.some(source => hashOrNoncePattern.test(source))
+    const hashAllowed = hash && sources.includes(hash) && (!isAttribute || lowerSources.includes("'unsafe-hashes'"))
+
+    if (hashAllowed) { return hash }
+
+    // 'unsafe-inline' is ignored once a hash, nonce or 'strict-dynamic' is present
+    if (lowerSources.includes("'unsafe-inline'") && !hasHashOrNonce && !lowerSources.includes("'strict-dynamic'")) {
+        return "'unsafe-inline'"
+    }
+
+    return null
+}
+
+// Directive each kind of inline code is checked against
+const inlineDirectives = {
+    'script': 'script-src-elem',
+    'style': 'style-src-elem',
+    'event-handler': 'script-src-attr',
+    'style-attribute': 'style-src-attr',
+    'javascript-url': 'script-src-elem',
+}
+
+/**
+ * Decide whether the policy allows one load or piece of inline code
+ * @param {Object} policy - Parsed policy (directive -> sources)
+ * @param {Object} entry - Resource log line ({ kind: 'resource', url, directive, page, initiator } or { kind: 'inline', inlineType, hash })
+ * @returns {Object} { allowed, directive, source } where source is the expression that allowed it
+ */
+export function evaluateLoad(policy, entry) {
+    const requested = entry.kind === 'inline' ? inlineDirectives[entry.inlineType] : entry.directive
+    const directive = getEffectiveDirective(policy, requested)
+
+    // Nothing in the policy governs this load
+    if (!directive) {
+        return { allowed: true, directive: null, source: null }
+    }
+
+    const sources = policy[directive]
+    let source
+
+    if (entry.kind === 'inline') {
+        const isAttribute = entry.inlineType === 'event-handler' || entry.inlineType === 'style-attribute'
+
+        // javascript: URLs are never allowed by hash
+        source = findInlineSource(sources, entry.inlineType === 'javascript-url' ? null : entry.hash, isAttribute)
+    } else if (directive.startsWith('script-src') && sources.some(s => s.toLowerCase() === "'strict-dynamic'")) {
+        // Host sources are ignored; trust only passes to scripts loaded by other scripts
+        source = entry.initiator?.type === 'script' ? "'strict-dynamic'" : null
+    } else {
+        source = findMatchingSource(sources, entry.url, entry.page)
+    }
+
+    return { allowed: Boolean(source), directive, source }
+}
+
+// Accept a header string, a csp-create report file (its `header` field) or a text file holding the header
+export function loadCandidatePolicy(value) {
+    if (!fs.existsSync(value)) {
+        return { header: value.trim(), source: 'cli' }
+    }
+
+    const content = fs.readFileSync(value, 'utf-8')
+
+    try {
+        const report = JSON.parse(content)
+
+        if (!report.header) {
+            throw new Error(`${value} has no "header" field`)
+        }
+
+        return { header: report.header.trim(), source: value }
+    } catch (error) {
+        if (error instanceof SyntaxError) {
+            return { header: content.trim(), source: value }
+        }
+
+        throw error
+    }
+}
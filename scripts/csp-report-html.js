@@ -0,0 +1,342 @@
+import fs from 'fs'
+import { parseArgs } from 'node:util'
+import { blockedOrigin } from './violations.js'
+
+const { values, positionals } = parseArgs({
+    args: process.argv.slice(2),
+    options: {
+        outputFile: { type: 'string' },
+        'output-file': { type: 'string' },
+    },
+    strict: false,
+    allowPositionals: true,
+})
+
+const escapeHtml = value => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+
+// Everything is inline so the file can be emailed or opened offline
+const styles = `
+    body { font: 15px/1.5 system-ui, -apple-system, "Segoe UI", sans-serif; color: #1d2330; margin: 0; background: #f5f6f8; }
+    main { max-width: 1100px; margin: 0 auto; padding: 32px 24px 64px; }
+    h1 { font-size: 26px; margin: 0 0 4px; }
+    h2 { font-size: 19px; margin: 36px 0 12px; border-bottom: 1px solid #d8dbe2; padding-bottom: 6px; }
+    h3 { font-size: 16px; margin: 20px 0 8px; }
+    .meta { color: #5b6272; margin: 0 0 20px; }
+    .stats { display: grid; grid-template-columns: repeat(auto-fill, minmax(170px, 1fr)); gap: 12px; }
+    .stat { background: #fff; border: 1px solid #d8dbe2; border-radius: 6px; padding: 12px 14px; }
+    .stat b { display: block; font-size: 22px; }
+    .stat span { color: #5b6272; font-size: 13px; }
+    .stat.bad b { color: #b42318; }
+    table { width: 100%; border-collapse: collapse; background: #fff; border: 1px solid #d8dbe2; }
+    th, td { text-align: left; padding: 8px 10px; border-bottom: 1px solid #eceef2; vertical-align: top; }
+    th { background: #eef0f4; font-size: 13px; }
+    td.count { width: 90px; text-align: right; white-space: nowrap; }
+    code, pre { font: 13px/1.45 ui-monospace, SFMono-Regular, Menlo, monospace; word-break: break-all; }
+    pre { background: #fff; border: 1px solid #d8dbe2; border-radius: 6px; padding: 12px; white-space: pre-wrap; }
+    details summary { cursor: pointer; color: #2754c5; }
+    details ul { margin: 6px 0 0; padding-left: 20px; }
+    .badge { display: inline-block; font-size: 12px; padding: 1px 7px; border-radius: 10px; margin-right: 4px; background: #e4e7ec; }
+    .badge.crawl { background: #d1e9ff; }
+    .badge.template { background: #fdead7; }
+    .badge.inline { background: #ebe9fe; }
+    .badge.existing { background: #fef0c7; }
+    .badge.high { background: #fee4e2; color: #b42318; }
+    .badge.medium { background: #fef0c7; color: #b54708; }
+    .badge.low { background: #fefbe8; }
+    .badge.interaction { background: #dcfae6; }
+    .empty { color: #5b6272; font-style: italic; }
+`
+
+function renderPageList(pages, label = 'pages') {
+    if (pages.length === 0) { return '' }
+
+    // Only web URLs become links; anything else from a collected report stays text
+    const items = pages.map(url => ((/^https?:\/\//i).test(url)
+        ? `<li><a href="${escapeHtml(url)}">${escapeHtml(url)}</a></li>`
+        : `<li><code>${escapeHtml(url)}</code></li>`)).join('')
+
+    return `<details><summary>${pages.length} ${label}</summary><ul>${items}</ul></details>`
+}
+
+function renderStats(stats) {
+    const cards = stats.map(({ label, value, bad }) => `<div class="stat${bad && value > 0 ? ' bad' : ''}"><b>${escapeHtml(value)}</b><span>${escapeHtml(label)}</span></div>`)
+
+    return `<div class="stats">${cards.join('')}</div>`
+}
+
+function renderSection(title, content) {
+    return `<h2>${escapeHtml(title)}</h2>${content || '<p class="empty">None</p>'}`
+}
+
+function renderUrlList(urls) {
+    if (urls.length === 0) { return '' }
+
+    return `<table><tbody>${urls.map(url => `<tr><td><code>${escapeHtml(url)}</code></td></tr>`).join('')}</tbody></table>`
+}
+
+function renderViolations(violations) {
+    if (violations.length === 0) { return '' }
+
+    // directive -> blocked origin -> pages, flagged when every occurrence followed an interaction
+    const byDirective = new Map()
+
+    for (const violation of violations) {
+        const directive = violation.effectiveDirective || violation.violatedDirective || 'unknown'
+        const blocked = blockedOrigin(violation) || violation.violation
+        const origins = byDirective.get(directive) || new Map()
+        const group = origins.get(blocked) || { pages: new Set(), interactionTriggered: true }
+
+        group.pages.add(violation.url)
+        group.interactionTriggered = group.interactionTriggered && Boolean(violation.interactionTriggered)
+        origins.set(blocked, group)
+        byDirective.set(directive, origins)
+    }
+
+    return Array.from(byDirective.entries())
+        .sort(([ a ], [ b ]) => a.localeCompare(b))
+        .map(([ directive, origins ]) => {
+            const rows = Array.from(origins.entries())
+                .sort(([ , a ], [ , b ]) => b.pages.size - a.pages.size)
+                .map(([ blocked, { pages, interactionTriggered } ]) => {
+                    const badge = interactionTriggered ? ' <span class="badge interaction">after interaction</span>' : ''
+
+                    return `<tr><td><code>${escapeHtml(blocked)}</code>${badge}${renderPageList(Array.from(pages), 'affected pages')}</td><td class="count">${pages.size} page(s)</td></tr>`
+                })
+
+            return `<h3><code>${escapeHtml(directive)}</code></h3><table><thead><tr><th>Blocked</th><th>Pages</th></tr></thead><tbody>${rows.join('')}</tbody></table>`
+        })
+        .join('')
+}
+
+function renderPolicy(report) {
+    // Older reports have no policySources; treat every source as unknown
+    const policySources = report.policySources || Object.fromEntries(Object.entries(report.policy).map(([ directive, sources ]) => [
+        directive,
+        sources.map(source => ({ source, origins: [], templates: [], interactionTriggered: false })),
+    ]))
+
+    const rows = Object.entries(policySources).map(([ directive, sources ]) => {
+        const list = sources.map(({ source, origins, templates, interactionTriggered }) => {
+            const badges = origins.map(origin => {
+                const label = origin === 'template' && templates.length > 0 ? `template: ${templates.join(', ')}` : origin
+
+                return `<span class="badge ${escapeHtml(origin)}">${escapeHtml(label)}</span>`
+            }).join('') + (interactionTriggered ? '<span class="badge interaction">after interaction</span>' : '')
+
+            return `<li><code>${escapeHtml(source)}</code> ${badges}</li>`
+        }).join('')
+
+        return `<tr><td><code>${escapeHtml(directive)}</code></td><td><ul>${list}</ul></td></tr>`
+    })
+
+    return `<pre>${escapeHtml(report.header)}</pre><table><thead><tr><th>Directive</th><th>Sources</th></tr></thead><tbody>${rows.join('')}</tbody></table>`
+}
+
+// Audit findings, most severe first (see policy-audit.js)
+function renderAudit(audit) {
+    if (!audit || audit.findings.length === 0) { return '' }
+
+    const rows = audit.findings.map(({ severity, directive, source, message }) => `<tr><td><span class="badge ${escapeHtml(severity)}">${escapeHtml(severity)}</span></td><td><code>${escapeHtml([ directive, source ].filter(Boolean).join(' '))}</code></td><td>${escapeHtml(message)}</td></tr>`)
+
+    return `<table><thead><tr><th>Severity</th><th>Where</th><th>Finding</th></tr></thead><tbody>${rows.join('')}</tbody></table>`
+}
+
+// directive -> sources, as a titled table
+function renderSourceTable(title, sources, render = source => `<code>${escapeHtml(source)}</code>`) {
+    const rows = Object.entries(sources)
+        .flatMap(([ directive, list ]) => list.map(source => `<tr><td><code>${escapeHtml(directive)}</code></td><td>${render(source)}</td></tr>`))
+
+    return `<h3>${escapeHtml(title)}</h3>${rows.length > 0
+        ? `<table><thead><tr><th>Directive</th><th>Source</th></tr></thead><tbody>${rows.join('')}</tbody></table>`
+        : '<p class="empty">None</p>'}`
+}
+
+const renderUsedSource = ({ source, loads }) => `<code>${escapeHtml(source)}</code> <span class="badge">${escapeHtml(loads)} load(s)</span>`
+
+// What the crawl made of the site's current policy (--from-existing)
+function renderExistingPolicy(existingPolicy) {
+    return [
+        `<p>Read from <code>${escapeHtml(existingPolicy.url)}</code>${existingPolicy.reportOnly ? ' (report-only)' : ''}</p>`,
+        `<pre>${escapeHtml(existingPolicy.header)}</pre>`,
+        renderSourceTable('Never used during the crawl (candidates for removal)', existingPolicy.unusedSources),
+        renderSourceTable('Added to cover what the crawl found', existingPolicy.newSources),
+        renderSourceTable('Used during the crawl', existingPolicy.usedSources, renderUsedSource),
+        renderSourceTable('Not checkable by a crawl', existingPolicy.unverifiedSources),
+    ].join('')
+}
+
+// Dead weight in each policy the validator saw deployed
+function renderPolicyAnalysis(policyAnalysis) {
+    if (policyAnalysis.length === 0) { return '' }
+
+    return policyAnalysis.map(analysis => {
+        const broadRows = analysis.broadSources.map(({ directive, source, origins }) => `<tr><td><code>${escapeHtml(directive)}</code></td><td><code>${escapeHtml(source)}</code></td><td>${origins.map(origin => `<code>${escapeHtml(origin)}</code>`).join('<br>')}</td></tr>`)
+
+        return [
+            `<p>Served on ${escapeHtml(analysis.pages)} page(s)${analysis.reportOnly ? ' (report-only)' : ''}, ${escapeHtml(analysis.loads)} distinct load(s) checked</p>`,
+            `<pre>${escapeHtml(analysis.header)}</pre>`,
+            renderSourceTable('Never matched during the crawl', analysis.unusedSources),
+            `<h3>Broader than needed</h3>${broadRows.length > 0
+                ? `<table><thead><tr><th>Directive</th><th>Source</th><th>Origins it allowed</th></tr></thead><tbody>${broadRows.join('')}</tbody></table>`
+                : '<p class="empty">None</p>'}`,
+            renderSourceTable('Used during the crawl', analysis.usedSources, renderUsedSource),
+            renderSourceTable('Not checkable by a crawl', analysis.unverifiedSources),
+            `<h3>Suggested tightened policy</h3><pre>${escapeHtml(analysis.suggestedHeader)}</pre>`,
+            `<h3>Audit</h3>${renderAudit(analysis.audit) || '<p class="empty">None</p>'}`,
+        ].join('')
+    }).join('')
+}
+
+function renderRedirects(redirects) {
+    if (redirects.length === 0) { return '' }
+
+    const rows = redirects.map(({ from, to }) => `<tr><td><code>${escapeHtml(from)}</code></td><td><code>${escapeHtml(to)}</code></td></tr>`)
+
+    return `<table><thead><tr><th>From</th><th>To</th></tr></thead><tbody>${rows.join('')}</tbody></table>`
+}
+
+const hostColumns = { pagesScanned: 'Pages scanned', pagesFailed: 'Failed', pagesAbandoned: 'Abandoned', violations: 'Violations', pagesWithoutCsp: 'Without CSP' }
+
+// Per-host counts for crawls that covered several hosts (see scope.js)
+function renderHosts(hosts) {
+    const columns = Object.keys(hostColumns).filter(column => Object.values(hosts).some(counts => column in counts))
+    const rows = Object.entries(hosts).map(([ host, counts ]) => `<tr><td><code>${escapeHtml(host)}</code></td>${columns.map(column => `<td>${counts[column] ?? 0}</td>`).join('')}</tr>`)
+
+    return `<table><thead><tr><th>Host</th>${columns.map(column => `<th>${hostColumns[column]}</th>`).join('')}</tr></thead><tbody>${rows.join('')}</tbody></table>`
+}
+
+function renderReport(report) {
+    const isPolicy = Boolean(report.policy)
+    const pagesScanned = Array.isArray(report.pagesScanned) ? report.pagesScanned.length : report.pagesScanned || 0
+    const stats = report.crawlStats || {}
+    const redirects = report.pagesRedirectedExternal || []
+    const failed = report.pagesFailed || []
+    const abandoned = report.pagesAbandoned || []
+    const title = isPolicy ? 'Generated Content Security Policy' : 'Content Security Policy Violations'
+
+    const summary = [
+        { label: 'Pages scanned', value: pagesScanned },
+        ...(isPolicy
+            ? [ { label: 'Directives', value: Object.keys(report.policy).length } ]
+            : [
+                { label: 'Violations', value: report.violations.length, bad: true },
+                { label: 'Pages without CSP', value: (report.pagesWithoutCsp || []).length, bad: true },
+            ]),
+        { label: 'Links found', value: stats.linksFound ?? '—' },
+        { label: 'External redirects', value: redirects.length },
+        { label: 'Failed pages', value: failed.length, bad: true },
+        { label: 'Abandoned URLs', value: abandoned.length, bad: true },
+        { label: 'Crawl errors', value: stats.errors?.length ?? 0, bad: true },
+    ]
+
+    const body = [
+        `<h1>${escapeHtml(title)}</h1>`,
+        `<p class="meta">${escapeHtml(report.baseUrl || '')}${report.baseUrl ? ' · ' : ''}${escapeHtml(report.timestamp)}${report.partial ? ' · partial crawl' : ''}</p>`,
+        renderStats(summary),
+    ]
+
+    if (Object.keys(report.hosts || {}).length > 1) {
+        body.push(renderSection('Hosts', renderHosts(report.hosts)))
+    }
+
+    if (isPolicy) {
+        body.push(renderSection('Policy', renderPolicy(report)))
+        body.push(renderSection('Policy audit', renderAudit(report.audit)))
+
+        if (report.existingPolicy) {
+            body.push(renderSection('Existing policy', renderExistingPolicy(report.existingPolicy)))
+        }
+
+        if (report.includedTemplates?.length > 0) {
+            body.push(`<p>Templates included: ${report.includedTemplates.map(name => `<span class="badge template">${escapeHtml(name)}</span>`).join('')}</p>`)
+        }
+
+        if (report.unusedTemplateSources?.length > 0) {
+            const rows = report.unusedTemplateSources.map(({ template, directive, source }) => `<tr><td><code>${escapeHtml(directive)}</code></td><td><code>${escapeHtml(source)}</code></td><td>${escapeHtml(template)}</td></tr>`)
+
+            body.push(renderSection('Template sources never seen during the crawl', `<table><thead><tr><th>Directive</th><th>Source</th><th>Template</th></tr></thead><tbody>${rows.join('')}</tbody></table>`))
+        }
+    } else {
+        if (report.candidatePolicy) {
+            body.push(renderSection('Candidate policy', `<pre>${escapeHtml(report.candidatePolicy.header)}</pre>${renderAudit(report.candidatePolicy.audit)}`))
+        }
+
+        body.push(renderSection('Violations by directive and blocked origin', renderViolations(report.violations)))
+        body.push(renderSection('Pages without CSP', renderPageList(report.pagesWithoutCsp || [])))
+
+        if (report.policyAnalysis) {
+            body.push(renderSection('Deployed policy usage', renderPolicyAnalysis(report.policyAnalysis)))
+        }
+    }
+
+    if (report.pluginFindings?.length > 0) {
+        const rows = report.pluginFindings.map(({ plugin, severity, url, message }) => `<tr><td><span class="badge ${escapeHtml(severity)}">${escapeHtml(severity)}</span></td><td>${escapeHtml(plugin)}</td><td><code>${escapeHtml(url || '')}</code></td><td>${escapeHtml(message)}</td></tr>`)
+
+        body.push(renderSection('Plugin findings', `<table><thead><tr><th>Severity</th><th>Plugin</th><th>URL</th><th>Finding</th></tr></thead><tbody>${rows.join('')}</tbody></table>`))
+    }
+
+    body.push(renderSection('External redirects', renderRedirects(redirects)))
+    body.push(renderSection('Failed pages', renderUrlList(failed)))
+    body.push(renderSection('Abandoned URLs', renderPageList(abandoned, 'URLs never visited')))
+
+    if (stats.errors?.length > 0) {
+        const rows = stats.errors.map(({ url, error }) => `<tr><td><code>${escapeHtml(url)}</code></td><td>${escapeHtml(error)}</td></tr>`)
+
+        body.push(renderSection('Crawl errors', `<table><thead><tr><th>URL</th><th>Error</th></tr></thead><tbody>${rows.join('')}</tbody></table>`))
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${styles}</style>
+</head>
+<body>
+<main>
+${body.join('\n')}
+</main>
+</body>
+</html>
+`
+}
+
+function renderHtmlReport() {
+    const [ reportFile ] = positionals
+
+    if (!reportFile) {
+        console.error('❌ Usage: bun run report -- <report.json> [--output-file report.html]')
+        process.exit(1)
+    }
+
+    if (!fs.existsSync(reportFile)) {
+        console.error(`❌ Report not found: ${reportFile}`)
+        process.exit(1)
+    }
+
+    let report
+
+    try {
+        report = JSON.parse(fs.readFileSync(reportFile, 'utf-8'))
+    } catch (error) {
+        console.error(`❌ Could not parse ${reportFile}: ${error.message}`)
+        process.exit(1)
+    }
+
+    if (!report.policy && !Array.isArray(report.violations)) {
+        console.error(`❌ ${reportFile} is neither a csp-policy nor a csp-violations report`)
+        process.exit(1)
+    }
+
+    const outputFile = values.outputFile || values['output-file'] || `${reportFile.replace(/\.json$/i, '')}.html`
+
+    fs.writeFileSync(outputFile, renderReport(report))
+    console.log(`📄 HTML report saved to: ${outputFile}`)
+}
+
+renderHtmlReport()
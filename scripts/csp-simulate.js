@@ -0,0 +1,177 @@
+import 'dotenv/config'
+import fs from 'fs'
+import readline from 'readline'
+import { parseArgs } from 'node:util'
+import { getScriptDirs, getTimestampedFilename } from './script-utils.js'
+import { evaluateLoad, loadCandidatePolicy, parsePolicy } from './csp-policy.js'
+import { ConfigError } from './errors.js'
+import { runCli } from './cli.js'
+
+const { reportsDir } = getScriptDirs(import.meta.url)
+
+const { values } = parseArgs({
+    args: process.argv.slice(2),
+    options: {
+        log: { type: 'string' },
+        policy: { type: 'string' },
+        outputFile: { type: 'string' },
+        'output-file': { type: 'string' },
+    },
+    strict: false,
+    allowPositionals: true,
+})
+
+const logFile = values.log || process.env.RESOURCE_LOG || ''
+const policyValue = values.policy || process.env.CANDIDATE_POLICY || ''
+const outputFile = values.outputFile || values['output-file'] || getTimestampedFilename(reportsDir, 'csp-simulation')
+
+const maxSamplePages = 5
+
+async function readResourceLog(filePath) {
+    const entries = new Map()
+    let meta = null
+    let skipped = 0
+
+    const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity })
+
+    for await (const line of lines) {
+        if (!line.trim()) { continue }
+
+        let entry
+
+        try {
+            entry = JSON.parse(line)
+        } catch (_e) {
+            skipped++
+            continue
+        }
+
+        if (entry.kind === 'meta') {
+            meta = meta || entry
+            continue
+        }
+
+        // Resumed crawls can log a page twice
+        const key = [ entry.kind, entry.page, entry.url || entry.hash, entry.directive || entry.inlineType ].join('|')
+
+        if (!entries.has(key)) {
+            entries.set(key, entry)
+        }
+    }
+
+    return { meta, entries: Array.from(entries.values()), skipped }
+}
+
+function describeBlocked(entry) {
+    if (entry.kind === 'inline') {
+        return `inline ${entry.inlineType}${entry.hash ? ` ${entry.hash}` : ''}`
+    }
+
+    return entry.url
+}
+
+async function simulate() {
+    if (!logFile) {
+        throw new ConfigError('A resource log is required (--log or RESOURCE_LOG); create one with: npm run create -- --resource-log <file>')
+    }
+
+    if (!fs.existsSync(logFile)) {
+        throw new ConfigError(`Resource log not found: ${logFile}`)
+    }
+
+    if (!policyValue) {
+        throw new ConfigError('A policy is required (--policy or CANDIDATE_POLICY): a header string or a csp-create report file')
+    }
+
+    const candidatePolicy = loadCandidatePolicy(policyValue)
+    const policy = parsePolicy(candidatePolicy.header)
+
+    console.log('🧪 Simulating CSP against a recorded resource log...')
+    console.log(`🗂️  Resource log: ${logFile}`)
+    console.log(`📋 Policy: ${candidatePolicy.header}`)
+
+    if (Object.values(policy).flat().some(source => (/^'nonce-/i).test(source))) {
+        console.log('⚠️  Nonces cannot be checked offline; scripts and styles that rely on them will show as blocked.')
+    }
+
+    const { meta, entries, skipped } = await readResourceLog(logFile)
+
+    if (skipped > 0) {
+        console.log(`⚠️  Skipped ${skipped} unreadable line(s)`)
+    }
+
+    const blocked = []
+    const groups = new Map() // "directive blocked" -> summary across pages
+
+    for (const entry of entries) {
+        const result = evaluateLoad(policy, entry)
+
+        if (result.allowed) { continue }
+
+        const blockedValue = describeBlocked(entry)
+
+        blocked.push({
+            page: entry.page,
+            blocked: blockedValue,
+            kind: entry.kind,
+            resourceType: entry.resourceType || entry.inlineType,
+            directive: result.directive,
+            initiator: entry.initiator || null,
+        })
+
+        // Group URLs by origin so one blocked CDN is one finding
+        let groupTarget = blockedValue
+
+        if (entry.kind === 'resource') {
+            try {
+                const url = new URL(entry.url)
+
+                groupTarget = url.origin === 'null' ? `${url.protocol}` : url.origin
+            } catch (_e) {
+                // Keep the raw value
+            }
+        }
+
+        const groupKey = `${result.directive} ${groupTarget}`
+        const group = groups.get(groupKey) || { directive: result.directive, blocked: groupTarget, loads: 0, pages: new Set() }
+
+        group.loads++
+        group.pages.add(entry.page)
+        groups.set(groupKey, group)
+    }
+
+    const summary = Array.from(groups.values())
+        .map(({ pages, ...group }) => ({ ...group, pageCount: pages.size, samplePages: Array.from(pages).slice(0, maxSamplePages) }))
+        .sort((a, b) => b.pageCount - a.pageCount || b.loads - a.loads)
+    const pages = new Set(entries.map(entry => entry.page))
+
+    const results = {
+        timestamp: new Date().toISOString(),
+        resourceLog: logFile,
+        baseUrl: meta?.baseUrl || null,
+        policy: candidatePolicy,
+        pagesSimulated: pages.size,
+        loadsSimulated: entries.length,
+        totalBlocked: blocked.length,
+        summary,
+        blocked,
+    }
+
+    fs.writeFileSync(outputFile, JSON.stringify(results, null, 2))
+
+    console.log('\n🏁 Simulation Complete!')
+    console.log(`📊 ${entries.length} load(s) on ${pages.size} page(s) checked`)
+
+    if (blocked.length === 0) {
+        console.log('✅ The policy would not block anything in this log')
+    } else {
+        console.log(`🚫 ${blocked.length} load(s) would be blocked:`)
+        summary.forEach(group => {
+            console.log(`   - ${group.directive}: ${group.blocked} (${group.loads} load(s) on ${group.pageCount} page(s))`)
+        })
+    }
+
+    console.log(`📄 Results saved to: ${outputFile}`)
+}
+
+runCli(simulate)
@@ -0,0 +1,172 @@
+import { parseArgs } from 'node:util'
+import { getScriptDirs } from './script-utils.js'
+import { readTemplateFiles } from './templates.js'
+import { sourceMatchesUrl } from './csp-policy.js'
+import { parseIntOrExit } from './cli.js'
+
+const { templatesDir } = getScriptDirs(import.meta.url)
+
+const { values, positionals } = parseArgs({
+    args: process.argv.slice(2),
+    options: {
+        dir: { type: 'string' },
+        maxAgeDays: { type: 'string' },
+        'max-age-days': { type: 'string' },
+    },
+    strict: false,
+    allowPositionals: true,
+})
+
+const lintDir = values.dir || templatesDir
+const maxAgeDays = parseIntOrExit(values.maxAgeDays || values['max-age-days'] || '365', '--max-age-days')
+
+// Turn a plain host source into a URL so wildcard sources from other templates can be tested against it
+function sourceAsUrl(source) {
+    if (source.startsWith("'") || source.includes('*') || (/^[a-z][a-z0-9+.-]*:$/i).test(source)) { return null }
+
+    try {
+        return new URL(source.includes('://') ? source : `https://${source}`).toString()
+    } catch (_e) {
+        return null
+    }
+}
+
+// Every directive -> source pair a template can add, required or optional
+function templateEntries(template) {
+    return [ 'directives', 'optionalDirectives' ].flatMap(field => Object.entries(template[field] || {})
+        .flatMap(([ directive, sources ]) => sources.map(source => ({ directive, source }))))
+}
+
+function findOverlapsAndConflicts(templates) {
+    const overlaps = []
+    const conflicts = []
+    const byDirective = new Map()
+
+    for (const template of templates) {
+        for (const entry of templateEntries(template)) {
+            if (!byDirective.has(entry.directive)) {
+                byDirective.set(entry.directive, [])
+            }
+
+            byDirective.get(entry.directive).push({ ...entry, id: template.id })
+        }
+    }
+
+    for (const [ directive, entries ] of byDirective.entries()) {
+        // 'none' only works alone; merging it with any other source means it is ignored
+        const noneEntries = entries.filter(entry => entry.source === "'none'")
+        const otherIds = [ ...new Set(entries.filter(entry => entry.source !== "'none'").map(entry => entry.id)) ]
+
+        for (const noneEntry of noneEntries) {
+            if (otherIds.length > 0) {
+                conflicts.push(`${directive}: ${noneEntry.id} sets 'none' but ${otherIds.join(', ')} add sources to it`)
+            }
+        }
+
+        for (let i = 0; i < entries.length; i++) {
+            for (let j = 0; j < entries.length; j++) {
+                const a = entries[i]
+                const b = entries[j]
+
+                if (a.id === b.id) { continue }
+
+                if (a.source === b.source) {
+                    if (i < j) {
+                        overlaps.push(`${directive} ${a.source} is in both ${a.id} and ${b.id}`)
+                    }
+                } else {
+                    const bUrl = sourceAsUrl(b.source)
+
+                    if (bUrl && a.source.includes('*') && sourceMatchesUrl(a.source, bUrl, bUrl)) {
+                        overlaps.push(`${directive} ${b.source} (${b.id}) is already covered by ${a.source} (${a.id})`)
+                    }
+                }
+            }
+        }
+    }
+
+    // Reports and the section split identify templates by name
+    const names = new Map()
+
+    for (const template of templates) {
+        if (names.has(template.name)) {
+            conflicts.push(`${template.id} and ${names.get(template.name)} share the name "${template.name}"`)
+        }
+
+        names.set(template.name, template.id)
+    }
+
+    return { overlaps, conflicts }
+}
+
+function lintTemplates() {
+    const results = readTemplateFiles(lintDir)
+
+    if (results.length === 0) {
+        console.log(`⚠️  No templates found in ${lintDir}`)
+
+        return true
+    }
+
+    console.log(`🔍 Linting ${results.length} template(s) in ${lintDir}\n`)
+
+    let errorCount = 0
+    let warningCount = 0
+
+    for (const { file, template, errors } of results) {
+        const warnings = []
+
+        if (template && errors.length === 0) {
+            if (!template.docsUrl) {
+                warnings.push('no "docsUrl" to check the sources against')
+            }
+
+            if (!template.lastReviewed) {
+                warnings.push('no "lastReviewed" date')
+            } else if ((Date.now() - Date.parse(template.lastReviewed)) / 86400000 > maxAgeDays) {
+                warnings.push(`last reviewed ${template.lastReviewed}, more than ${maxAgeDays} days ago`)
+            }
+        }
+
+        errorCount += errors.length
+        warningCount += warnings.length
+
+        const icon = errors.length > 0 ? '❌' : warnings.length > 0 ? '⚠️ ' : '✅'
+
+        console.log(`${icon} ${file}`)
+        errors.forEach(error => console.log(`   error: ${error}`))
+        warnings.forEach(warning => console.log(`   warning: ${warning}`))
+    }
+
+    const validTemplates = results.filter(result => result.errors.length === 0).map(result => result.template)
+    const { overlaps, conflicts } = findOverlapsAndConflicts(validTemplates)
+
+    if (conflicts.length > 0) {
+        console.log(`\n❌ Conflicts (${conflicts.length}):`)
+        conflicts.forEach(conflict => console.log(`   - ${conflict}`))
+    }
+
+    if (overlaps.length > 0) {
+        console.log(`\nℹ️  Overlaps (${overlaps.length}):`)
+        overlaps.forEach(overlap => console.log(`   - ${overlap}`))
+    }
+
+    errorCount += conflicts.length
+
+    console.log(`\n${errorCount > 0 ? '❌' : '✅'} ${errorCount} error(s), ${warningCount} warning(s), ${overlaps.length} overlap(s)`)
+
+    return errorCount === 0
+}
+
+const commands = {
+    lint: lintTemplates,
+}
+
+const [ command ] = positionals
+
+if (!commands[command]) {
+    console.error(`❌ Usage: bun run templates ${Object.keys(commands).join('|')} [--dir templates] [--max-age-days 365]`)
+    process.exit(1)
+}
+
+process.exit(commands[command]() ? 0 : 1)
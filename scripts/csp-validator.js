@@ -1,66 +1,50 @@
 import 'dotenv/config'
 import fs from 'fs'
 import { getCommonConfig } from './script-utils.js'
-import { crawlSite as sharedCrawlSite } from './crawler.js'
-
-const config = getCommonConfig({ reportPrefix: 'csp-violations', reportsDir: './reports' })
-
-async function validateCSP() {
-    console.log('🔍 Starting CSP crawler...')
-    console.log(`📍 Base URL: ${config.baseUrl}`)
-
-    // Collect CSP violations
-    const violations = []
-    const pagesWithoutCsp = new Set()
-
-    const crawlResults = await sharedCrawlSite({
-        action: 'VALIDATE Content Security Policy',
-        onConsoleMessage: (msg, pageUrl) => {
-            const text = msg.text()
-
-            if (text.includes('[Report Only]') || text.includes('Content Security Policy')) {
-                violations.push({
-                    url: pageUrl,
-                    timestamp: new Date().toISOString(),
-                    violation: text,
-                    type: 'console',
-                })
-                console.log(`🚫 CSP Violation found: ${text}`)
-            }
-        },
-        onPageVisit: (_page, url, _depth, response) => {
-            if (response) {
-                const headers = response.headers()
-                const cspHeader = headers['content-security-policy']
-                const cspReportOnly = headers['content-security-policy-report-only']
-
-                if (!cspHeader && !cspReportOnly && !pagesWithoutCsp.has(url)) {
-                    pagesWithoutCsp.add(url)
-                    console.log(`⚠️  No CSP header on document: ${url}`)
-                }
-            }
-        },
-    })
+import { validatePolicy } from './validate-policy.js'
+import { formatAuditFinding, formatAuditSummary } from './policy-audit.js'
+import { formatPluginFinding } from './plugins.js'
+import { compareToBaseline, readBaseline, writeBaseline } from './baseline.js'
+import { reportFormats } from './exporters.js'
+import { createConsoleLogger } from './logger.js'
+import { abortOnSigint, confirmCrawl, runCli } from './cli.js'
 
-    // Save results
-    const results = {
-        timestamp: new Date().toISOString(),
-        pagesScanned: crawlResults.pagesScanned,
-        pagesRedirectedExternal: crawlResults.pagesRedirectedExternal,
-        pagesWithoutCsp: Array.from(pagesWithoutCsp),
-        totalViolations: violations.length,
-        violations: violations,
-        crawlStats: crawlResults.crawlStats,
-    }
+// Write the report and exports, summarize them, then update the baseline or run the CI gate
+function saveAndPrint(config, results) {
+    const { violations } = results
 
     fs.writeFileSync(config.outputFile, JSON.stringify(results, null, 2))
 
+    // SARIF and JUnit go next to the JSON report, which is always written
+    const exportFiles = config.outputFormats
+        .filter(format => reportFormats[format])
+        .map(format => {
+            const exportFile = `${config.outputFile.replace(/\.json$/i, '')}.${reportFormats[format].suffix}`
+
+            fs.writeFileSync(exportFile, reportFormats[format].render(results))
+
+            return exportFile
+        })
+
     console.log('Crawl Complete!')
-    console.log(`Pages scanned: ${crawlResults.pagesScanned.length}`)
-    console.log(`External redirects skipped: ${crawlResults.pagesRedirectedExternal?.length ?? 0}`)
-    console.log(`CSP violations found: ${violations.length}`)
-    console.log(`Pages without CSP header: ${pagesWithoutCsp.size}`)
+    console.log(`Pages scanned: ${results.pagesScanned.length}`)
+    console.log(`External redirects skipped: ${results.pagesRedirectedExternal?.length ?? 0}`)
+    console.log(`CSP violations found: ${violations.length}${results.candidatePolicy ? ' (including the candidate policy)' : ''}`)
+    console.log(`Pages without CSP header: ${results.pagesWithoutCsp.length}`)
+
+    if (results.pagesPolicyNotInjected.length > 0) {
+        console.log(`⚠️  Pages loaded without the candidate policy: ${results.pagesPolicyNotInjected.length} (not checked; see crawlStats.errors)`)
+    }
+
     console.log(`Results saved to: ${config.outputFile}`)
+    exportFiles.forEach(exportFile => console.log(`Results saved to: ${exportFile}`))
+
+    if (Object.keys(results.hosts).length > 1) {
+        console.log('\n🌐 Per host:')
+        Object.entries(results.hosts).forEach(([ host, counts ]) => {
+            console.log(`   - ${host}: ${counts.pagesScanned ?? 0} page(s), ${counts.violations} violation(s), ${counts.pagesWithoutCsp} without CSP`)
+        })
+    }
 
     if (violations.length > 0) {
         console.log('\n🔍 Unique violation types:')
@@ -68,11 +52,128 @@ async function validateCSP() {
 
         uniqueViolations.forEach(v => console.log(`   - ${v}`))
     }
+
+    for (const analysis of results.policyAnalysis) {
+        const unused = Object.entries(analysis.unusedSources).flatMap(([ directive, sources ]) => sources.map(source => `${directive} ${source}`))
+
+        console.log(`\n🧹 Deployed policy on ${analysis.pages} page(s)${analysis.reportOnly ? ' (report-only)' : ''}: ${unused.length} source(s) never matched, ${analysis.broadSources.length} broad source(s)`)
+        unused.forEach(source => console.log(`   - unused: ${source}`))
+        analysis.broadSources.forEach(({ directive, source, origins }) => {
+            console.log(`   - broad: ${directive} ${source} only allowed ${origins.length} origin(s): ${origins.join(', ')}`)
+        })
+
+        if (unused.length > 0 || analysis.broadSources.length > 0) {
+            console.log(`   Suggested: ${analysis.suggestedHeader}`)
+        }
+
+        console.log(`🛡️  Audit: ${formatAuditSummary(analysis.audit.findings)}`)
+        analysis.audit.findings.forEach(finding => console.log(`   ${formatAuditFinding(finding)}`))
+    }
+
+    if (results.candidatePolicy) {
+        const candidateAudit = results.candidatePolicy.audit.findings
+
+        console.log(`\n🛡️  Candidate policy audit: ${formatAuditSummary(candidateAudit)}`)
+        candidateAudit.forEach(finding => console.log(`   ${formatAuditFinding(finding)}`))
+    }
+
+    if (results.pluginFindings.length > 0) {
+        console.log(`\n🧩 Plugin findings (${results.pluginFindings.length}):`)
+        results.pluginFindings.forEach(finding => console.log(`   ${formatPluginFinding(finding)}`))
+    }
+
+    if (config.updateBaseline) {
+        const baseline = writeBaseline(config.baselineFile, { baseUrl: config.baseUrl, violations, pagesWithoutCsp: results.pagesWithoutCsp })
+
+        console.log(`\n📌 Baseline updated: ${config.baselineFile} (${baseline.violations.length} violation(s), ${baseline.pagesWithoutCsp.length} page(s) without CSP accepted)`)
+
+        return
+    }
+
+    if (config.ci) {
+        const passed = runCiGate(config, results)
+
+        process.exit(passed ? 0 : 1)
+    }
 }
 
-// Check if puppeteer is available
-try {
-    validateCSP().catch(console.error)
-} catch (_error) {
-    console.log('❌ Puppeteer not installed.')
+// Compare against the committed baseline and decide whether the pipeline passes
+function runCiGate(config, { violations, pagesWithoutCsp, pagesPolicyNotInjected, pagesScanned, partial }) {
+    let baseline
+
+    try {
+        baseline = readBaseline(config.baselineFile)
+    } catch (error) {
+        console.error(`❌ Could not read baseline ${config.baselineFile}: ${error.message}`)
+
+        return false
+    }
+
+    const comparison = compareToBaseline(baseline, violations, pagesWithoutCsp)
+    const failures = []
+
+    if (comparison.newViolations.length > config.maxViolations) {
+        failures.push(`${comparison.newViolations.length} new violation(s) (max ${config.maxViolations})`)
+    }
+
+    if (config.failOnMissingCsp && comparison.newPagesWithoutCsp.length > 0) {
+        failures.push(`${comparison.newPagesWithoutCsp.length} new page(s) without a CSP header`)
+    }
+
+    if (pagesScanned.length === 0) {
+        failures.push('no pages were scanned')
+    }
+
+    if (partial) {
+        failures.push('the crawl was interrupted')
+    }
+
+    // These pages were never tested against the candidate policy, so they cannot pass
+    if (pagesPolicyNotInjected.length > 0) {
+        failures.push(`${pagesPolicyNotInjected.length} page(s) loaded without the candidate policy`)
+    }
+
+    console.log(`\n🚦 CSP gate (baseline: ${config.baselineFile})`)
+    console.log(`   Pages scanned: ${pagesScanned.length}`)
+    console.log(`   Violations: ${comparison.newViolations.length} new, ${comparison.acceptedViolations.length} accepted, ${comparison.resolvedViolations.length} resolved`)
+    console.log(`   Pages without CSP: ${comparison.newPagesWithoutCsp.length} new, ${comparison.acceptedPagesWithoutCsp.length} accepted`)
+
+    comparison.newViolations.forEach(finding => {
+        console.log(`   🚫 ${finding.key} on ${finding.pageCount} page(s), e.g. ${finding.samplePage}`)
+    })
+    comparison.newPagesWithoutCsp.forEach(url => {
+        console.log(`   ${config.failOnMissingCsp ? '🚫' : '⚠️ '} No CSP header: ${url}`)
+    })
+    pagesPolicyNotInjected.forEach(url => console.log(`   🚫 Candidate policy not injected: ${url}`))
+
+    if (comparison.resolvedViolations.length > 0) {
+        console.log('   Resolved findings are still in the baseline; run with --update-baseline to drop them.')
+    }
+
+    if (failures.length > 0) {
+        console.log(`❌ FAILED: ${failures.join('; ')}`)
+
+        return false
+    }
+
+    console.log('✅ PASSED')
+
+    return true
 }
+
+runCli(async () => {
+    const config = getCommonConfig({ reportPrefix: 'csp-violations', reportsDir: './reports' })
+    const { signal, dispose } = abortOnSigint()
+
+    try {
+        const results = await validatePolicy(config, {
+            signal,
+            logger: createConsoleLogger({ quiet: config.quiet }),
+            confirm: config.skipConfirmation ? undefined : confirmCrawl,
+        })
+
+        saveAndPrint(config, results)
+    } finally {
+        dispose()
+    }
+})
@@ -0,0 +1,57 @@
+// Errors thrown by the library API; `code` is stable, so callers can branch on it instead of the message
+export class CspCrawlerError extends Error {
+    constructor(message, { code = 'CSP_CRAWLER_ERROR', cause } = {}) {
+        super(message, { cause })
+        this.name = this.constructor.name
+        this.code = code
+    }
+}
+
+// Missing or invalid configuration, such as an unparseable number or a file that does not exist
+export class ConfigError extends CspCrawlerError {
+    constructor(message, options = {}) {
+        super(message, { code: 'CONFIG_INVALID', ...options })
+    }
+}
+
+// A checkpoint that cannot be read or belongs to another site
+export class CheckpointError extends CspCrawlerError {
+    constructor(message, options = {}) {
+        super(message, { code: 'CHECKPOINT_INVALID', ...options })
+    }
+}
+
+// Templates requested by id that do not exist
+export class TemplateError extends CspCrawlerError {
+    constructor(message, options = {}) {
+        super(message, { code: 'TEMPLATE_UNKNOWN', ...options })
+    }
+}
+
+// A login script that ran but did not end up logged in
+export class AuthError extends CspCrawlerError {
+    constructor(message, options = {}) {
+        super(message, { code: 'AUTH_FAILED', ...options })
+    }
+}
+
+// A plugin or plugin config file that cannot be loaded, or a plugin with an unknown hook
+export class PluginError extends CspCrawlerError {
+    constructor(message, options = {}) {
+        super(message, { code: 'PLUGIN_INVALID', ...options })
+    }
+}
+
+// The confirm callback declined the crawl
+export class CrawlCancelledError extends CspCrawlerError {
+    constructor(message = 'Crawl cancelled by user.', options = {}) {
+        super(message, { code: 'CRAWL_CANCELLED', ...options })
+    }
+}
+
+// The signal was aborted before the crawl started; aborting a running crawl returns partial results instead
+export class CrawlAbortedError extends CspCrawlerError {
+    constructor(message = 'Crawl aborted before it started.', options = {}) {
+        super(message, { code: 'CRAWL_ABORTED', ...options })
+    }
+}
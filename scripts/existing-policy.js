@@ -0,0 +1,219 @@
+import { evaluateLoad, findMatchingSource, getEffectiveDirective } from './csp-policy.js'
+
+// Directives that govern loads the crawl can see; sources in any other directive cannot be confirmed or ruled out
+const observableDirectives = [
+    'default-src', 'script-src', 'script-src-elem', 'script-src-attr', 'style-src', 'style-src-elem', 'style-src-attr',
+    'img-src', 'font-src', 'connect-src', 'media-src', 'object-src', 'frame-src', 'child-src', 'worker-src', 'manifest-src',
+]
+
+// Keywords and nonces a crawl cannot observe being used (eval, report samples, per-response nonces)
+// plus schemes whose loads never reach request interception
+const unobservableSourcePattern = /^(?:'(?:unsafe-eval|wasm-unsafe-eval|report-sample|none|inline-speculation-rules|nonce-)|(?:data|blob|filesystem|mediastream):$)/i
+
+const hashSourcePattern = /^'sha(?:256|384|512)-/i
+
+// Sources that only allow inline code, for callers that did not collect inline blocks
+const inlineSourcePattern = /^'(?:unsafe-inline|unsafe-hashes|sha(?:256|384|512)-)/i
+
+// Sources that allow any host, or any host on a scheme
+const broadSourcePattern = /^(?:\*|https?:|wss?:)$/i
+
+// Broad sources that allowed more origins than this are reported but not replaced
+const maxListedOrigins = 10
+
+// Directives the generated policy always sets; an existing value is kept as-is
+const existingWins = [ 'default-src', 'base-uri' ]
+
+// The enforced header when there is one, otherwise the report-only header
+export function readExistingPolicyHeader(headers) {
+    if (headers['content-security-policy']) {
+        return { header: headers['content-security-policy'], reportOnly: false }
+    }
+
+    if (headers['content-security-policy-report-only']) {
+        return { header: headers['content-security-policy-report-only'], reportOnly: true }
+    }
+
+    return null
+}
+
+// Query strings never affect source matching, and data:/blob: URLs only match by scheme
+export function getLoadKey(urlString) {
+    try {
+        const url = new URL(urlString)
+
+        return [ 'http:', 'https:', 'ws:', 'wss:' ].includes(url.protocol) ? `${url.origin}${url.pathname}` : url.protocol
+    } catch (_e) {
+        return null
+    }
+}
+
+// Origin of a load key, or its scheme for data:, blob: and the like
+const loadOrigin = loadKey => {
+    const url = new URL(loadKey)
+
+    return url.origin === 'null' ? url.protocol : url.origin
+}
+
+/**
+ * Check every load and inline block from the crawl against the site's existing policy
+ * @param {Object} policy - Parsed existing policy (directive -> sources)
+ * @param {Object[]} loads - Resource and inline entries in the resource log shape (see evaluateLoad)
+ * @param {Object} options
+ * @param {boolean} options.inlineObserved - Inline blocks are part of `loads`; when false, inline sources count as unverified
+ * @returns {Object} { usedSources: { directive: [{ source, loads, origins }] }, unusedSources, unverifiedSources: { directive: [source] },
+ *   blocked: [{ directive, blocked, loads }] }
+ */
+export function analyzeExistingPolicy(policy, loads, { inlineObserved = true } = {}) {
+    const useCounts = new Map() // "directive source" -> loads it allowed
+    const useOrigins = new Map() // "directive source" -> origins of the loads it allowed
+    const blocked = new Map()
+
+    for (const entry of loads) {
+        const { allowed, directive, source } = evaluateLoad(policy, entry)
+
+        if (!directive) { continue }
+
+        if (!allowed) {
+            // One blocked CDN is one finding
+            const blockedValue = entry.kind === 'inline' ? `inline ${entry.inlineType}` : loadOrigin(entry.url)
+            const key = `${directive} ${blockedValue}`
+            const group = blocked.get(key) || { directive, blocked: blockedValue, loads: 0 }
+
+            group.loads++
+            blocked.set(key, group)
+            continue
+        }
+
+        const key = `${directive} ${source}`
+
+        useCounts.set(key, (useCounts.get(key) || 0) + 1)
+
+        if (entry.kind === 'resource') {
+            useOrigins.set(key, (useOrigins.get(key) || new Set()).add(loadOrigin(entry.url)))
+        }
+
+        // Attribute hashes only work together with 'unsafe-hashes'
+        if (hashSourcePattern.test(source) && (entry.inlineType === 'event-handler' || entry.inlineType === 'style-attribute')) {
+            useCounts.set(`${directive} 'unsafe-hashes'`, (useCounts.get(`${directive} 'unsafe-hashes'`) || 0) + 1)
+        }
+    }
+
+    const usedSources = {}
+    const unusedSources = {}
+    const unverifiedSources = {}
+
+    for (const [ directive, sources ] of Object.entries(policy)) {
+        for (const source of sources) {
+            const key = `${directive} ${source}`
+            const loadCount = useCounts.get(key) || 0
+            let bucket
+
+            if (loadCount > 0) {
+                bucket = usedSources
+            } else if (!observableDirectives.includes(directive) || unobservableSourcePattern.test(source) || (!inlineObserved && inlineSourcePattern.test(source))) {
+                bucket = unverifiedSources
+            } else {
+                bucket = unusedSources
+            }
+
+            bucket[directive] = bucket[directive] || []
+            bucket[directive].push(loadCount > 0 ? { source, loads: loadCount, origins: Array.from(useOrigins.get(key) || []).sort() } : source)
+        }
+    }
+
+    return {
+        usedSources,
+        unusedSources,
+        unverifiedSources,
+        blocked: Array.from(blocked.values()).sort((a, b) => b.loads - a.loads),
+    }
+}
+
+/**
+ * Merge a generated policy into the existing one, keeping every existing source
+ * @param {Object} existing - Parsed existing policy
+ * @param {Object} generated - Policy built from the crawl
+ * @param {string} selfUrl - Base URL, for 'self' and scheme-less sources
+ * @returns {Object} { policy, newSources: { directive: [source] } } - sources already covered by an existing one are not added
+ */
+export function mergeIntoExistingPolicy(existing, generated, selfUrl) {
+    const policy = structuredClone(existing)
+    const newSources = {}
+
+    for (const [ directive, sources ] of Object.entries(generated)) {
+        if (policy[directive] && existingWins.includes(directive)) { continue }
+
+        // A new directive starts from whatever the existing policy fell back to, so nothing it allowed is lost
+        if (!policy[directive]) {
+            const fallback = getEffectiveDirective(existing, directive)
+
+            policy[directive] = fallback ? [ ...existing[fallback] ] : []
+        }
+
+        const current = policy[directive]
+        const lowerCurrent = current.map(source => source.toLowerCase())
+
+        // Adding a hash would switch off an 'unsafe-inline' the site relies on
+        const keepsUnsafeInline = lowerCurrent.includes("'unsafe-inline'") && !lowerCurrent.some(source => hashSourcePattern.test(source) || source.startsWith("'nonce-"))
+
+        for (const source of sources) {
+            if (lowerCurrent.includes(source.toLowerCase())) { continue }
+
+            if (keepsUnsafeInline && (hashSourcePattern.test(source) || source === "'unsafe-hashes'")) { continue }
+
+            if ((/^(?:https?|wss?):\/\//).test(source) && findMatchingSource(current, source, selfUrl)) { continue }
+
+            // 'none' only applies when it is the only source
+            if (lowerCurrent.includes("'none'")) {
+                current.splice(lowerCurrent.indexOf("'none'"), 1)
+                lowerCurrent.splice(lowerCurrent.indexOf("'none'"), 1)
+            }
+
+            current.push(source)
+            lowerCurrent.push(source.toLowerCase())
+            newSources[directive] = newSources[directive] || []
+            newSources[directive].push(source)
+        }
+    }
+
+    return { policy, newSources }
+}
+
+/**
+ * Suggest a tighter policy from what the crawl loaded: unused sources are dropped and broad sources
+ * (`*`, `https:`, ...) that allowed only a few origins are replaced by those origins
+ * @param {Object} policy - Parsed policy
+ * @param {Object} analysis - Result of analyzeExistingPolicy
+ * @param {string} selfUrl - Base URL; its own origin becomes 'self'
+ * @returns {Object} { broadSources: [{ directive, source, origins }], policy }
+ */
+export function suggestTightenedPolicy(policy, { usedSources, unusedSources }, selfUrl) {
+    const selfOrigin = new URL(selfUrl).origin
+    const broadSources = Object.entries(usedSources).flatMap(([ directive, sources ]) => sources
+        .filter(({ source }) => broadSourcePattern.test(source))
+        .map(({ source, origins }) => ({ directive, source, origins })))
+    const tightened = {}
+
+    for (const [ directive, sources ] of Object.entries(policy)) {
+        // Value-less directives such as upgrade-insecure-requests stay as they are
+        if (sources.length === 0) {
+            tightened[directive] = []
+            continue
+        }
+
+        const kept = sources
+            .filter(source => !unusedSources[directive]?.includes(source))
+            .flatMap(source => {
+                const broad = broadSources.find(entry => entry.directive === directive && entry.source === source)
+
+                if (!broad || broad.origins.length > maxListedOrigins) { return [ source ] }
+
+                return broad.origins.map(origin => (origin === selfOrigin ? "'self'" : origin))
+            })
+
+        tightened[directive] = kept.length > 0 ? [ ...new Set(kept) ] : [ "'none'" ]
+    }
+
+    return { broadSources, policy: tightened }
+}
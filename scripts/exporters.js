@@ -0,0 +1,145 @@
+import { blockedOrigin, violationFindingKey } from './violations.js'
+
+const toolName = 'CSP Crawler'
+const missingCspRuleId = 'missing-csp'
+
+const escapeXml = value => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+
+const directiveOf = violation => violation.effectiveDirective || violation.violatedDirective || 'unknown'
+
+function describeFinding(violation) {
+    const source = violation.sourceFile ? ` (from ${violation.sourceFile}${violation.lineNumber ? `:${violation.lineNumber}` : ''})` : ''
+
+    return `${violation.blockedURI ? `Blocked ${violation.blockedURI}` : violation.violation} by ${directiveOf(violation)}${source}`
+}
+
+/**
+ * Convert validator results into a SARIF 2.1.0 log: one rule per violated directive, one result per violation
+ * @param {Object} results - csp-validator results
+ * @returns {Object} SARIF log
+ */
+export function toSarif(results) {
+    const directives = [ ...new Set(results.violations.map(directiveOf)) ].sort()
+    const rules = directives.map(directive => ({
+        id: directive,
+        name: `CSP ${directive} violation`,
+        shortDescription: { text: `Resource or inline code blocked by the ${directive} directive` },
+        helpUri: `https://developer.mozilla.org/docs/Web/HTTP/Headers/Content-Security-Policy/${directive}`,
+        defaultConfiguration: { level: 'error' },
+    }))
+
+    rules.push({
+        id: missingCspRuleId,
+        name: 'Missing Content-Security-Policy header',
+        shortDescription: { text: 'Document served without a Content-Security-Policy or Content-Security-Policy-Report-Only header' },
+        helpUri: 'https://developer.mozilla.org/docs/Web/HTTP/CSP',
+        defaultConfiguration: { level: 'warning' },
+    })
+
+    const location = uri => [ { physicalLocation: { artifactLocation: { uri } } } ]
+
+    const violationResults = results.violations.map(violation => ({
+        ruleId: directiveOf(violation),
+        ruleIndex: directives.indexOf(directiveOf(violation)),
+        // Report-Only violations did not break the page
+        level: violation.disposition === 'report' ? 'warning' : 'error',
+        message: { text: describeFinding(violation) },
+        locations: location(violation.url),
+        partialFingerprints: { cspFinding: violationFindingKey(violation) },
+        properties: {
+            blockedURI: violation.blockedURI ?? null,
+            blockedOrigin: blockedOrigin(violation),
+            sourceFile: violation.sourceFile ?? null,
+            lineNumber: violation.lineNumber ?? null,
+            type: violation.type,
+            interactionTriggered: Boolean(violation.interactionTriggered),
+        },
+    }))
+
+    const missingCspResults = (results.pagesWithoutCsp || []).map(url => ({
+        ruleId: missingCspRuleId,
+        ruleIndex: rules.length - 1,
+        level: 'warning',
+        message: { text: `No Content-Security-Policy header on ${url}` },
+        locations: location(url),
+    }))
+
+    return {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [ {
+            tool: { driver: { name: toolName, rules } },
+            invocations: [ { executionSuccessful: !results.partial, endTimeUtc: results.timestamp } ],
+            results: [ ...violationResults, ...missingCspResults ],
+        } ],
+    }
+}
+
+/**
+ * Convert validator results into JUnit XML: one testcase per scanned page, failing on violations or a missing CSP header
+ * @param {Object} results - csp-validator results
+ * @returns {string} JUnit XML document
+ */
+export function toJunit(results) {
+    const violationsByPage = new Map()
+
+    for (const violation of results.violations) {
+        if (!violationsByPage.has(violation.url)) {
+            violationsByPage.set(violation.url, [])
+        }
+
+        violationsByPage.get(violation.url).push(violation)
+    }
+
+    const pagesWithoutCsp = new Set(results.pagesWithoutCsp || [])
+    let failures = 0
+
+    const testcases = results.pagesScanned.map(url => {
+        const problems = (violationsByPage.get(url) || []).map(describeFinding)
+
+        if (pagesWithoutCsp.has(url)) {
+            problems.unshift('No Content-Security-Policy header')
+        }
+
+        const name = `<testcase classname="csp" name="${escapeXml(url)}">`
+
+        if (problems.length === 0) {
+            return `    ${name.replace(/>$/, ' />')}`
+        }
+
+        failures++
+
+        return [
+            `    ${name}`,
+            `      <failure message="${escapeXml(`${problems.length} CSP problem(s)`)}" type="csp">${escapeXml(problems.join('\n'))}</failure>`,
+            '    </testcase>',
+        ].join('\n')
+    })
+
+    const suiteName = escapeXml(results.baseUrl || toolName)
+    const counts = `tests="${testcases.length}" failures="${failures}" errors="0"`
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="${escapeXml(toolName)}" ${counts}>`,
+        `  <testsuite name="${suiteName}" ${counts} timestamp="${escapeXml(results.timestamp)}">`,
+        ...testcases,
+        '  </testsuite>',
+        '</testsuites>',
+        '',
+    ].join('\n')
+}
+
+// Output formats the validator can write next to its JSON report
+export const reportFormats = {
+    json: null,
+    sarif: { suffix: 'sarif', render: results => `${JSON.stringify(toSarif(results), null, 2)}\n` },
+    junit: { suffix: 'junit.xml', render: toJunit },
+}
+
+export const reportFormatNames = Object.keys(reportFormats)
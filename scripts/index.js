@@ -0,0 +1,8 @@
+// Library entry point: the same crawls as the CLI scripts, without argv, prompts, process.exit or console output
+export { crawlSite } from './crawler.js'
+export { createPolicy } from './create-policy.js'
+export { validatePolicy } from './validate-policy.js'
+export { resolveConfig } from './script-utils.js'
+export { createConsoleLogger, silentLogger } from './logger.js'
+export { crawlEvents } from './plugins.js'
+export { AuthError, CheckpointError, ConfigError, CrawlAbortedError, CrawlCancelledError, CspCrawlerError, PluginError, TemplateError } from './errors.js'
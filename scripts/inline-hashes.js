@@ -0,0 +1,141 @@
+import crypto from 'crypto'
+
+const maxSamplePages = 5
+const maxLocations = 10
+const previewLength = 120
+
+// CSP hash source for an inline block; the hash covers the exact text, whitespace included
+export function hashInlineContent(content) {
+    return `'sha256-${crypto.createHash('sha256').update(content, 'utf-8').digest('base64')}'`
+}
+
+// Reduce a block to its shape so per-page variants (CSRF tokens, IDs, page titles) group together
+export function inlineSkeleton(content) {
+    return content
+        .replace(/(["'`])(?:\\.|(?!\1)[^\\])*\1/g, '""')
+        .replace(/\b\d+(?:\.\d+)?\b/g, '0')
+        .replace(/[A-Za-z0-9+/=_-]{24,}/g, 'TOKEN')
+        .replace(/\s+/g, ' ')
+        .trim()
+}
+
+// Pages in the same directory are the same kind of page (e.g. /blog/a and /blog/b), so they should carry the same stable blocks
+export function pageKind(pageUrl) {
+    try {
+        const { host, pathname } = new URL(pageUrl)
+
+        return `${host}${pathname.replace(/[^/]*$/, '')}`
+    } catch (_e) {
+        return pageUrl
+    }
+}
+
+/**
+ * Decide which hashes of one skeleton group change per page; identical shapes alone (two gtag configs, two JSON-LD blocks) are not enough
+ * @param {Map<string, Set<string>>} pagesByHash - Hash -> pages it appeared on, for the hashes sharing one skeleton
+ * @returns {Set<string>} Hashes that vary: one is missing from a page of a kind it appears on while the group is there,
+ *   or it appears on a single page while the group spans several
+ */
+export function findVaryingHashes(pagesByHash) {
+    const groupPages = new Set()
+
+    pagesByHash.forEach(pages => pages.forEach(page => groupPages.add(page)))
+
+    const varying = new Set()
+
+    for (const [ hash, pages ] of pagesByHash) {
+        const kinds = new Set(Array.from(pages, pageKind))
+        const missingOnSameKind = Array.from(groupPages).some(page => !pages.has(page) && kinds.has(pageKind(page)))
+
+        if (missingOnSameKind || (pages.size === 1 && groupPages.size > 1)) {
+            varying.add(hash)
+        }
+    }
+
+    return varying
+}
+
+/**
+ * Track inline blocks by hash, with the pages each one appears on
+ * @returns {Object} Inventory with add(), entries(), toJSON() and restore()
+ */
+export function createInlineInventory() {
+    const byHash = new Map()
+    const pagesByHash = new Map() // Every page a hash appeared on; entries only keep a sample
+
+    return {
+        // `location` optionally records where the code sits (e.g. element and attribute)
+        add(content, pageUrl, location = null) {
+            const hash = hashInlineContent(content)
+            let entry = byHash.get(hash)
+
+            if (!entry) {
+                entry = {
+                    hash,
+                    skeleton: inlineSkeleton(content),
+                    length: content.length,
+                    preview: content.trim().slice(0, previewLength),
+                    pageCount: 0,
+                    samplePages: [],
+                    locations: [],
+                }
+                byHash.set(hash, entry)
+                pagesByHash.set(hash, new Set())
+            }
+
+            if (location && entry.locations.length < maxLocations) {
+                const locationKey = JSON.stringify(location)
+
+                if (!entry.locations.some(existing => JSON.stringify(existing) === locationKey)) {
+                    entry.locations.push(location)
+                }
+            }
+
+            if (!pagesByHash.get(hash).has(pageUrl)) {
+                pagesByHash.get(hash).add(pageUrl)
+                entry.pageCount++
+
+                if (entry.samplePages.length < maxSamplePages) {
+                    entry.samplePages.push(pageUrl)
+                }
+            }
+
+            return hash
+        },
+
+        // A block that changes per page cannot be allowed by hash; only the hashes that actually change are marked
+        entries() {
+            const groups = new Map() // Skeleton -> Map(hash -> pages)
+
+            for (const entry of byHash.values()) {
+                if (!groups.has(entry.skeleton)) {
+                    groups.set(entry.skeleton, new Map())
+                }
+
+                groups.get(entry.skeleton).set(entry.hash, pagesByHash.get(entry.hash))
+            }
+
+            const varying = new Set(Array.from(groups.values()).flatMap(group => Array.from(findVaryingHashes(group))))
+
+            return Array.from(byHash.values())
+                .map(({ skeleton: _skeleton, ...entry }) => ({ ...entry, varies: varying.has(entry.hash) }))
+                .sort((a, b) => b.pageCount - a.pageCount)
+        },
+
+        get size() {
+            return byHash.size
+        },
+
+        toJSON() {
+            return Array.from(byHash.values(), entry => ({ ...entry, pages: Array.from(pagesByHash.get(entry.hash)) }))
+        },
+
+        // Checkpoints from before pages were kept only have the sample
+        restore(entries) {
+            entries.forEach(({ pages, ...entry }) => {
+                byHash.set(entry.hash, entry)
+                pagesByHash.set(entry.hash, new Set(pages || entry.samplePages))
+            })
+        },
+    }
+}
@@ -0,0 +1,89 @@
+// Elements that commonly load more resources when used: video facades, accordions, consent banners and menus
+export const DEFAULT_INTERACTION_SELECTORS = [
+    // Video facades
+    'lite-youtube',
+    'lite-vimeo',
+    '[data-youtube-id]',
+    '[data-vimeo-id]',
+    '[data-video-id]',
+    '.video-facade',
+    // Consent-accept buttons
+    '#onetrust-accept-btn-handler',
+    '#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll',
+    '.cky-btn-accept',
+    '.cc-allow',
+    '[data-cookie-accept]',
+    // Accordions and disclosure widgets
+    'details > summary',
+    '[aria-expanded="false"]',
+    // Menus
+    '[aria-haspopup="true"]',
+    '.menu-toggle',
+]
+
+const maxScrollSteps = 50
+
+// Scroll in viewport-sized steps so lazy-loaded images, iframes and scripts start loading; the height is read once
+// and the steps are capped, so infinite-scroll pages that keep growing still finish
+async function scrollToBottom(page) {
+    await page.evaluate(async maxSteps => {
+        const step = Math.max(window.innerHeight, 200)
+        const height = Math.min(document.documentElement.scrollHeight, step * maxSteps)
+
+        for (let y = 0; y < height; y += step) {
+            window.scrollTo(0, y)
+            await new Promise(resolve => setTimeout(resolve, 100))
+        }
+
+        window.scrollTo(0, height)
+    }, maxScrollSteps)
+}
+
+/**
+ * Scroll, then hover and click every visible match of each selector, and wait for the network to settle
+ * @param {Object} page - Puppeteer page
+ * @param {Object} options
+ * @param {string[]} options.selectors - CSS selectors to hover and click, in order
+ * @param {number} options.maxInteractions - Stop after this many clicks on one page
+ * @returns {Promise<number>} Number of elements clicked
+ */
+export async function runInteractions(page, { selectors, maxInteractions }) {
+    await scrollToBottom(page)
+
+    let interactions = 0
+
+    for (const selector of selectors) {
+        if (interactions >= maxInteractions) { break }
+
+        let handles
+
+        try {
+            handles = await page.$$(selector)
+        } catch (_e) {
+            // Invalid selector
+            continue
+        }
+
+        for (const handle of handles) {
+            try {
+                if (interactions < maxInteractions && await handle.isVisible()) {
+                    await handle.hover()
+                    await handle.click()
+                    interactions++
+                }
+            } catch (_e) {
+                // Detached, covered or otherwise not clickable
+            } finally {
+                await handle.dispose().catch(() => {})
+            }
+        }
+    }
+
+    try {
+        await page.waitForNetworkIdle({ idleTime: 500, timeout: 10000 })
+    } catch (_e) {
+        // Long-polling widgets never go idle; keep what has loaded
+    }
+
+    return interactions
+}
@@ -0,0 +1,24 @@
+// Library functions log through { debug, info, warn, error }; the default says nothing
+export const silentLogger = {
+    debug() {},
+    info() {},
+    warn() {},
+    error() {},
+}
+
+// Fill in the levels a caller's logger leaves out
+export function resolveLogger(logger) {
+    return { ...silentLogger, ...logger }
+}
+
+// What the CLI scripts print; debug is the per-page detail --quiet hides
+export function createConsoleLogger({ quiet = false } = {}) {
+    return {
+        debug: (...args) => {
+            if (!quiet) { console.log(...args) }
+        },
+        info: (...args) => console.log(...args),
+        warn: (...args) => console.log(...args),
+        error: (...args) => console.error(...args),
+    }
+}
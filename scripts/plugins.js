@@ -0,0 +1,154 @@
+import fs from 'fs'
+import path from 'path'
+import { pathToFileURL } from 'url'
+import { PluginError } from './errors.js'
+
+// Every event the crawler emits; plugins hook them by type, onEvent receives them all
+export const crawlEvents = [
+    'crawl:start', 'crawl:stopping', 'crawl:done',
+    'url:enqueued', 'url:skipped',
+    'page:start', 'page:success', 'page:retry', 'page:failed', 'page:redirected',
+    'request:made', 'response:received', 'frame:attached',
+    'worker:recreated', 'browser:relaunched', 'checkpoint:saved',
+]
+
+const configFields = [ 'plugins' ]
+
+// Same scale as the policy audit, so findings share its badges in the HTML report
+const findingSeverities = [ 'high', 'medium', 'low', 'info' ]
+
+/**
+ * Check a plugin object: { name, hooks: { 'event:type': (event, context) => {} } }
+ * @param {Object} plugin - Plugin object
+ * @param {string} origin - Where it came from, for error messages
+ * @returns {Object} The plugin
+ * @throws {PluginError} When the name is missing or a hook is unknown or not a function
+ */
+export function validatePlugin(plugin, origin = 'plugin') {
+    if (!plugin || typeof plugin !== 'object' || typeof plugin.name !== 'string' || !plugin.name.trim()) {
+        throw new PluginError(`${origin} must be an object with a "name"`)
+    }
+
+    for (const [ type, hook ] of Object.entries(plugin.hooks || {})) {
+        if (!crawlEvents.includes(type)) {
+            throw new PluginError(`${plugin.name}: unknown hook "${type}" (expected ${crawlEvents.join(', ')})`)
+        }
+
+        if (typeof hook !== 'function') {
+            throw new PluginError(`${plugin.name}: hook "${type}" must be a function`)
+        }
+    }
+
+    return { ...plugin, hooks: plugin.hooks || {} }
+}
+
+// A JSON file, or a JS module whose default export is the config object
+async function readConfigFile(configFile) {
+    if (configFile.endsWith('.json')) {
+        return JSON.parse(fs.readFileSync(configFile, 'utf-8'))
+    }
+
+    return (await import(pathToFileURL(path.resolve(configFile)).href)).default
+}
+
+/**
+ * Load the plugins listed in a config file: { plugins: [ "./path.js" | { path, options } | pluginObject ] }
+ * Paths are relative to the config file; a module's default export is a plugin object or a (options) => plugin factory
+ * @param {string} configFile - JSON or JS config file
+ * @returns {Promise<Object[]>} Validated plugins
+ * @throws {PluginError}
+ */
+export async function loadPluginConfig(configFile) {
+    let config
+
+    try {
+        config = await readConfigFile(configFile)
+    } catch (error) {
+        throw new PluginError(`Could not read config ${configFile}: ${error.message}`, { cause: error })
+    }
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new PluginError(`${configFile} must contain an object`)
+    }
+
+    const unknownFields = Object.keys(config).filter(field => !configFields.includes(field))
+
+    if (unknownFields.length > 0) {
+        throw new PluginError(`${configFile}: unknown field(s) ${unknownFields.join(', ')} (expected ${configFields.join(', ')})`)
+    }
+
+    if (config.plugins !== undefined && !Array.isArray(config.plugins)) {
+        throw new PluginError(`${configFile}: "plugins" must be an array`)
+    }
+
+    const plugins = []
+
+    for (const entry of config.plugins || []) {
+        if (typeof entry !== 'string' && typeof entry?.path !== 'string') {
+            plugins.push(validatePlugin(entry, `A plugin in ${configFile}`))
+            continue
+        }
+
+        const pluginPath = path.resolve(path.dirname(configFile), typeof entry === 'string' ? entry : entry.path)
+        let exported
+
+        try {
+            exported = (await import(pathToFileURL(pluginPath).href)).default
+        } catch (error) {
+            throw new PluginError(`Could not load plugin ${pluginPath}: ${error.message}`, { cause: error })
+        }
+
+        const plugin = typeof exported === 'function' ? await exported(entry.options || {}) : exported
+
+        plugins.push(validatePlugin(plugin, pluginPath))
+    }
+
+    return plugins
+}
+
+/**
+ * Fan crawl events out to the caller's onEvent and the plugin hooks for that type
+ * @param {Object} options
+ * @param {Object[]} options.plugins - Validated plugins
+ * @param {Function} options.onEvent - Caller callback(event)
+ * @param {Object} options.logger - Resolved logger; failing hooks are reported as warnings and never stop the crawl
+ * @param {Object} options.config - Resolved config, passed to hooks
+ * @returns {Object} { emit(event, context) -> Promise, findings } - hooks get (event, { ...context, config, logger, report })
+ *   and report({ message, severity?, url? }) adds to findings; severity is high, medium, low or info (default)
+ */
+export function createEventBus({ plugins = [], onEvent, logger, config }) {
+    const findings = []
+
+    const emit = (event, context = {}) => {
+        try {
+            onEvent?.(event)
+        } catch (error) {
+            logger.warn(`⚠️  onEvent failed on ${event.type}: ${error.message}`)
+        }
+
+        return Promise.all(plugins.filter(plugin => plugin.hooks[event.type]).map(plugin => {
+            const report = ({ message, severity = 'info', url, ...details }) => {
+                // Details come first, so a plugin cannot report under another plugin's name or event
+                findings.push({
+                    ...details,
+                    plugin: plugin.name,
+                    event: event.type,
+                    severity: findingSeverities.includes(severity) ? severity : 'info',
+                    url: url || event.url || event.pageUrl || null,
+                    message: String(message),
+                })
+            }
+
+            return Promise.resolve()
+                .then(() => plugin.hooks[event.type](event, { ...context, config, logger, report }))
+                .catch(error => logger.warn(`⚠️  Plugin ${plugin.name} failed on ${event.type}: ${error.message}`))
+        }))
+    }
+
+    return { emit, findings }
+}
+
+// One console line per finding, e.g. "[analytics] MEDIUM https://example.com/: Loads ga.js"
+export function formatPluginFinding(finding) {
+    return `[${finding.plugin}] ${finding.severity.toUpperCase()}${finding.url ? ` ${finding.url}` : ''}: ${finding.message}`
+}
@@ -0,0 +1,234 @@
+import { bypassableHosts } from './bypassable-hosts.js'
+
+export const auditSeverities = [ 'high', 'medium', 'low', 'info' ]
+
+const bypassReasons = {
+    'jsonp': 'serves JSONP endpoints, so any page can run code through the callback parameter',
+    'angular': 'hosts old AngularJS builds whose template expressions run code without inline script',
+    'arbitrary-code': 'serves files anyone can publish',
+}
+
+const hashOrNoncePattern = /^'(?:nonce-|sha256-|sha384-|sha512-)/i
+
+// Host part of a host source (no scheme, port or path), or null for keywords and scheme sources
+function sourceHost(source) {
+    if (source === '*' || source.startsWith("'") || (/^[a-z][a-z0-9+.-]*:$/i).test(source)) { return null }
+
+    return source.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '').split(/[:/]/)[0].toLowerCase() || null
+}
+
+// A wildcard source covers every listed host below it, and a wildcard entry covers every source below it
+function findBypassableHost(host) {
+    const sourceIsWildcard = host.startsWith('*.')
+    const sourceBase = host.replace(/^\*\./, '')
+
+    return bypassableHosts.find(entry => {
+        const entryIsWildcard = entry.host.startsWith('*.')
+        const entryBase = entry.host.replace(/^\*\./, '')
+
+        return sourceBase === entryBase
+            || (entryIsWildcard && sourceBase.endsWith(`.${entryBase}`))
+            || (sourceIsWildcard && entryBase.endsWith(`.${sourceBase}`))
+    }) || null
+}
+
+// The directive that governs a fetch directive once fallbacks are applied
+const effectiveDirective = (policy, directive) => [ directive, 'default-src' ].find(name => policy[name]) || null
+
+function auditScriptSources(policy, findings) {
+    const directive = effectiveDirective(policy, 'script-src')
+
+    if (!directive) {
+        findings.push({
+            check: 'missing-script-src',
+            severity: 'high',
+            directive: 'script-src',
+            message: 'Neither script-src nor default-src is set, so scripts can load from anywhere.',
+        })
+
+        return
+    }
+
+    const sources = policy[directive]
+    const lowerSources = sources.map(source => source.toLowerCase())
+    const hasHashOrNonce = lowerSources.some(source => hashOrNoncePattern.test(source))
+    const hasStrictDynamic = lowerSources.includes("'strict-dynamic'")
+
+    if (lowerSources.includes("'unsafe-inline'")) {
+        findings.push(hasHashOrNonce || hasStrictDynamic
+            ? {
+                check: 'unsafe-inline',
+                severity: 'info',
+                directive,
+                source: "'unsafe-inline'",
+                message: "'unsafe-inline' is ignored by browsers that support hashes, nonces or 'strict-dynamic'; it only applies to very old browsers.",
+            }
+            : {
+                check: 'unsafe-inline',
+                severity: 'high',
+                directive,
+                source: "'unsafe-inline'",
+                message: "'unsafe-inline' allows any injected inline script or event handler to run, which defeats most of the XSS protection a CSP gives.",
+            })
+    }
+
+    if (lowerSources.includes("'unsafe-eval'")) {
+        findings.push({
+            check: 'unsafe-eval',
+            severity: 'medium',
+            directive,
+            source: "'unsafe-eval'",
+            message: "'unsafe-eval' lets eval(), new Function() and string timers turn injected strings into code.",
+        })
+    }
+
+    if (hasStrictDynamic && !hasHashOrNonce) {
+        findings.push({
+            check: 'strict-dynamic-without-nonce',
+            severity: 'medium',
+            directive,
+            source: "'strict-dynamic'",
+            message: "'strict-dynamic' without a nonce or hash blocks every script in browsers that support it; scripts must be trusted by a nonce or hash first.",
+        })
+    }
+
+    for (const source of sources) {
+        const lowerSource = source.toLowerCase()
+        const host = sourceHost(source)
+
+        if (lowerSource === '*' || lowerSource === 'https:' || lowerSource === 'http:') {
+            findings.push({
+                check: 'broad-script-source',
+                severity: hasStrictDynamic ? 'info' : 'high',
+                directive,
+                source,
+                message: `${source} allows scripts from any ${lowerSource === '*' ? 'host' : `${lowerSource.replace(':', '')} host`}${hasStrictDynamic ? ", but 'strict-dynamic' makes browsers that support it ignore it" : ''}.`,
+            })
+        } else if (lowerSource === 'data:' || lowerSource === 'blob:') {
+            findings.push({
+                check: 'script-from-url-scheme',
+                severity: lowerSource === 'data:' ? 'high' : 'medium',
+                directive,
+                source,
+                message: `${source} lets anyone who can inject a <script src> run code from a ${lowerSource.replace(':', '')} URL.`,
+            })
+        } else if (host) {
+            const bypass = findBypassableHost(host)
+
+            if (lowerSource.startsWith('http://')) {
+                findings.push({
+                    check: 'insecure-script-source',
+                    severity: 'medium',
+                    directive,
+                    source,
+                    message: `${source} is loaded over plain HTTP, so anyone on the network can replace the script.`,
+                })
+            }
+
+            if (bypass) {
+                findings.push({
+                    check: 'bypassable-host',
+                    severity: hasStrictDynamic ? 'info' : 'high',
+                    directive,
+                    source,
+                    message: `${source} ${bypassReasons[bypass.reason]} (${bypass.host}).${hasStrictDynamic ? " 'strict-dynamic' makes browsers that support it ignore host sources." : ''}`,
+                })
+            }
+        }
+    }
+
+    if (!hasHashOrNonce && !hasStrictDynamic && sources.some(sourceHost)) {
+        findings.push({
+            check: 'host-allowlist',
+            severity: 'low',
+            directive,
+            message: "Host allowlists are often bypassable through an allowed host; nonces or hashes with 'strict-dynamic' are more robust.",
+        })
+    }
+}
+
+/**
+ * Judge how much protection a policy gives, in the spirit of Google's CSP Evaluator but fully offline
+ * @param {Object} policy - Parsed policy (directive -> sources)
+ * @param {Object} options
+ * @param {boolean} options.reportOnly - The policy is only reported, not enforced
+ * @returns {Object[]} Findings { check, severity, directive, source?, message }, most severe first
+ */
+export function auditPolicy(policy, { reportOnly = false } = {}) {
+    const findings = []
+
+    auditScriptSources(policy, findings)
+
+    const objectDirective = effectiveDirective(policy, 'object-src')
+    const objectSources = objectDirective ? policy[objectDirective].map(source => source.toLowerCase()) : []
+
+    if (!(objectSources.length === 1 && objectSources[0] === "'none'")) {
+        findings.push({
+            check: 'object-src',
+            severity: objectDirective ? 'medium' : 'high',
+            directive: 'object-src',
+            message: objectDirective
+                ? `object-src is not 'none' (via ${objectDirective}); plugin content such as <object> and <embed> can still load from the allowed sources.`
+                : "object-src is missing; plugin content such as <object> and <embed> can load from anywhere. Set object-src 'none'.",
+        })
+    }
+
+    if (!policy['base-uri']) {
+        findings.push({
+            check: 'missing-base-uri',
+            severity: Object.values(policy).flat().some(source => hashOrNoncePattern.test(source)) ? 'high' : 'medium',
+            directive: 'base-uri',
+            message: "base-uri is missing (it has no default-src fallback); an injected <base> tag can point relative script URLs at another host. Set base-uri 'self' or 'none'.",
+        })
+    }
+
+    if (!policy['frame-ancestors']) {
+        findings.push({
+            check: 'missing-frame-ancestors',
+            severity: 'medium',
+            directive: 'frame-ancestors',
+            message: "frame-ancestors is missing, so any site can frame these pages (clickjacking). Set frame-ancestors 'self' or 'none'; it only works in a header, not a <meta> tag.",
+        })
+    }
+
+    const styleDirective = effectiveDirective(policy, 'style-src')
+
+    if (styleDirective && policy[styleDirective].some(source => source.toLowerCase() === "'unsafe-inline'")) {
+        findings.push({
+            check: 'unsafe-inline-style',
+            severity: 'low',
+            directive: styleDirective,
+            source: "'unsafe-inline'",
+            message: "'unsafe-inline' in styles allows injected CSS, which can deface pages or leak data through selectors.",
+        })
+    }
+
+    if (reportOnly) {
+        findings.push({
+            check: 'report-only',
+            severity: 'info',
+            message: 'The policy is sent as Content-Security-Policy-Report-Only, so nothing is blocked.',
+        })
+    }
+
+    return findings.sort((a, b) => auditSeverities.indexOf(a.severity) - auditSeverities.indexOf(b.severity))
+}
+
+// Number of findings per severity
+export function summarizeAudit(findings) {
+    return Object.fromEntries(auditSeverities.map(severity => [ severity, findings.filter(finding => finding.severity === severity).length ]))
+}
+
+// e.g. "2 high, 1 medium, 0 low, 1 info"
+export function formatAuditSummary(findings) {
+    return Object.entries(summarizeAudit(findings)).map(([ severity, count ]) => `${count} ${severity}`).join(', ')
+}
+
+const severityIcons = { high: '🔴', medium: '🟠', low: '🟡', info: 'ℹ️ ' }
+
+// One console line per finding
+export function formatAuditFinding(finding) {
+    const location = [ finding.directive, finding.source ].filter(Boolean).join(' ')
+
+    return `${severityIcons[finding.severity]} ${finding.severity.toUpperCase()}${location ? ` ${location}` : ''}: ${finding.message}`
+}
@@ -0,0 +1,152 @@
+// Directives browsers ignore when the policy is delivered in a <meta> tag
+const metaIgnoredDirectives = [ 'frame-ancestors', 'report-uri', 'report-to', 'sandbox' ]
+
+const escapeDoubleQuoted = value => value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')
+const escapeHtmlAttribute = value => value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+const escapePhpSingleQuoted = value => value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")
+
+// Each formatter gets { header, reportingEndpointsHeader, policy } and returns the file content plus warnings
+export const policyFormats = {
+    nginx: {
+        suffix: 'nginx.conf',
+        format: ({ header, reportingEndpointsHeader }) => {
+            const lines = [
+                '# Inside the server or location block',
+                `add_header Content-Security-Policy "${escapeDoubleQuoted(header)}" always;`,
+            ]
+
+            if (reportingEndpointsHeader) {
+                lines.push(`add_header Reporting-Endpoints "${escapeDoubleQuoted(reportingEndpointsHeader)}" always;`)
+            }
+
+            // nginx expands $name inside strings and has no escape for it
+            const warnings = header.includes('$') ? [ 'the policy contains "$", which nginx treats as a variable' ] : []
+
+            return { content: `${lines.join('\n')}\n`, warnings }
+        },
+    },
+    apache: {
+        suffix: 'htaccess',
+        format: ({ header, reportingEndpointsHeader }) => {
+            // mod_headers reads % as a format specifier
+            const escape = value => escapeDoubleQuoted(value).replace(/%/g, '%%')
+            const lines = [
+                '<IfModule mod_headers.c>',
+                `    Header always set Content-Security-Policy "${escape(header)}"`,
+            ]
+
+            if (reportingEndpointsHeader) {
+                lines.push(`    Header always set Reporting-Endpoints "${escape(reportingEndpointsHeader)}"`)
+            }
+
+            lines.push('</IfModule>')
+
+            return { content: `${lines.join('\n')}\n`, warnings: [] }
+        },
+    },
+    netlify: {
+        suffix: 'netlify-headers',
+        format: ({ header, reportingEndpointsHeader }) => {
+            const lines = [
+                '/*',
+                `  Content-Security-Policy: ${header}`,
+            ]
+
+            if (reportingEndpointsHeader) {
+                lines.push(`  Reporting-Endpoints: ${reportingEndpointsHeader}`)
+            }
+
+            return { content: `${lines.join('\n')}\n`, warnings: [] }
+        },
+    },
+    cloudflare: {
+        suffix: 'cloudflare-worker.js',
+        format: ({ header, reportingEndpointsHeader }) => {
+            const setHeaders = [
+                `        headers.set('Content-Security-Policy', ${JSON.stringify(header)})`,
+            ]
+
+            if (reportingEndpointsHeader) {
+                setHeaders.push(`        headers.set('Reporting-Endpoints', ${JSON.stringify(reportingEndpointsHeader)})`)
+            }
+
+            const content = [
+                '// Cloudflare Worker: adds the policy to every response from the origin',
+                'export default {',
+                '    async fetch(request) {',
+                '        const response = await fetch(request)',
+                '        const headers = new Headers(response.headers)',
+                '',
+                ...setHeaders,
+                '',
+                '        return new Response(response.body, {',
+                '            status: response.status,',
+                '            statusText: response.statusText,',
+                '            headers,',
+                '        })',
+                '    },',
+                '}',
+            ]
+
+            return { content: `${content.join('\n')}\n`, warnings: [] }
+        },
+    },
+    meta: {
+        suffix: 'meta.html',
+        format: ({ header, reportingEndpointsHeader, policy }) => {
+            const ignored = metaIgnoredDirectives.filter(directive => policy[directive])
+            const warnings = ignored.map(directive => `${directive} is ignored in a <meta> tag; send it as an HTTP header`)
+
+            if (reportingEndpointsHeader) {
+                warnings.push('Reporting-Endpoints cannot be set from HTML; send it as an HTTP header')
+            }
+
+            const content = [
+                '<!-- As early as possible in <head>: only content after the tag is covered -->',
+                `<meta http-equiv="Content-Security-Policy" content="${escapeHtmlAttribute(header)}">`,
+            ]
+
+            return { content: `${content.join('\n')}\n`, warnings }
+        },
+    },
+    craft: {
+        suffix: 'craft-app.web.php',
+        format: ({ header, reportingEndpointsHeader }) => {
+            const setHeaders = [
+                `            $headers->set('Content-Security-Policy', '${escapePhpSingleQuoted(header)}');`,
+            ]
+
+            if (reportingEndpointsHeader) {
+                setHeaders.push(`            $headers->set('Reporting-Endpoints', '${escapePhpSingleQuoted(reportingEndpointsHeader)}');`)
+            }
+
+            const content = [
+                '<?php',
+                '',
+                '// config/app.web.php: merge into the existing file if there is one',
+                'use yii\\base\\Event;',
+                '',
+                'return [',
+                '    \'components\' => [',
+                '        \'response\' => [',
+                '            \'on beforeSend\' => function(Event $event) {',
+                '                $headers = $event->sender->getHeaders();',
+                '',
+                ...setHeaders.map(line => `    ${line}`),
+                '            },',
+                '        ],',
+                '    ],',
+                '];',
+            ]
+
+            return { content: `${content.join('\n')}\n`, warnings: [] }
+        },
+    },
+}
+
+export const policyFormatNames = Object.keys(policyFormats)
+
+// reports/csp-policy-X.json -> reports/csp-policy-X.nginx.conf
+export function getFormatFilename(outputFile, formatName) {
+    return `${outputFile.replace(/\.json$/i, '')}.${policyFormats[formatName].suffix}`
+}
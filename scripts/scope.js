@@ -0,0 +1,131 @@
+const excludedExtensions = [ '.pdf', '.ics', '.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg', '.ico', '.bmp', '.tif', '.tiff', '.avif' ]
+
+const stripWww = hostname => hostname.replace(/^www\./, '')
+
+// Files rather than pages, also when passed along in a query string (e.g. download?file=a.pdf&v=2)
+function hasExcludedExtension(href) {
+    const lowerHref = href.toLowerCase()
+
+    return excludedExtensions.some(ext => lowerHref.endsWith(ext)
+        || lowerHref.includes(`${ext}?`) || lowerHref.includes(`${ext}#`) || lowerHref.includes(`${ext}&`))
+}
+
+/**
+ * Turn an allowed-host entry into a lowercase hostname pattern
+ * @param {string} entry - "docs.example.com", "*.example.com" or a URL whose hostname is used
+ * @returns {string|null} The pattern, or null when the entry is not a hostname
+ */
+export function normalizeHostPattern(entry) {
+    const trimmed = String(entry).trim().toLowerCase()
+    const wildcard = trimmed.startsWith('*.')
+    let hostname = wildcard ? trimmed.slice(2) : trimmed
+
+    try {
+        hostname = new URL(hostname.includes('://') ? hostname : `http://${hostname}`).hostname
+    } catch (_e) {
+        return null
+    }
+
+    if (!hostname || (wildcard && !hostname.includes('.'))) { return null }
+
+    return wildcard ? `*.${hostname}` : hostname
+}
+
+// "*.example.com" matches any subdomain but not example.com itself; exact entries ignore a leading www. like the base host
+function matchesHostPattern(hostname, pattern) {
+    if (pattern.startsWith('*.')) {
+        return hostname.endsWith(pattern.slice(1))
+    }
+
+    return stripWww(hostname) === stripWww(pattern)
+}
+
+/**
+ * Rules for which URLs a crawl may visit: the base host (with or without www., on the base port), the allowed hosts,
+ * then the include and exclude patterns; http and https links to the base host fold into the base URL's scheme
+ * @param {Object} config
+ * @param {string} config.baseUrl - Start URL; its host is always in scope
+ * @param {string[]} config.allowedHosts - Extra hostnames or "*.domain" wildcards
+ * @param {string} config.includePattern - Regex a URL must match to be crawled (case-insensitive)
+ * @param {string} config.excludePattern - Regex for URLs never to crawl (case-insensitive)
+ * @returns {Object} { isAllowedHost(url), toCrawlUrl(url), skipReason(url) }
+ */
+export function createScope({ baseUrl, allowedHosts = [], includePattern = '', excludePattern = '' }) {
+    const base = new URL(baseUrl)
+    const patterns = allowedHosts.map(normalizeHostPattern).filter(Boolean)
+    const include = includePattern ? new RegExp(includePattern, 'i') : null
+    const exclude = excludePattern ? new RegExp(excludePattern, 'i') : null
+
+    const parseWebUrl = urlString => {
+        try {
+            const url = new URL(urlString)
+
+            return url.protocol === 'http:' || url.protocol === 'https:' ? url : null
+        } catch (_e) {
+            return null
+        }
+    }
+
+    // A default port counts as the base port under either scheme, so http://example.com matches https://example.com
+    const isBaseHost = url => matchesHostPattern(url.hostname, base.hostname) && url.port === base.port
+
+    const isAllowedHost = urlString => {
+        const url = parseWebUrl(urlString)
+
+        if (!url) { return false }
+
+        return isBaseHost(url) || patterns.some(pattern => matchesHostPattern(url.hostname, pattern))
+    }
+
+    // Only the scheme of base-host links changes; allowed hosts keep their own scheme
+    const toCrawlUrl = urlString => {
+        const url = parseWebUrl(urlString)
+
+        if (!url || !isBaseHost(url) || url.protocol === base.protocol) { return urlString }
+
+        url.protocol = base.protocol
+
+        return url.toString()
+    }
+
+    // null when the URL may be crawled, otherwise the url:skipped reason
+    const skipReason = urlString => {
+        if (!isAllowedHost(urlString)) { return 'external' }
+
+        if (hasExcludedExtension(urlString)) { return 'excluded' }
+
+        if (exclude?.test(urlString)) { return 'excluded' }
+
+        if (include && !include.test(urlString)) { return 'not-included' }
+
+        return null
+    }
+
+    return { isAllowedHost, toCrawlUrl, skipReason }
+}
+
+/**
+ * Count pages per host, for reports that cover several hosts
+ * @param {Object} pageLists - { pagesScanned: [urls], pagesFailed: [urls], ... }
+ * @returns {Object} host -> { pagesScanned, pagesFailed, ... }, sorted by host
+ */
+export function summarizeHosts(pageLists) {
+    const hosts = {}
+
+    for (const [ field, urls ] of Object.entries(pageLists)) {
+        for (const url of urls) {
+            let host
+
+            try {
+                host = new URL(url).host
+            } catch (_e) {
+                continue
+            }
+
+            hosts[host] = hosts[host] || Object.fromEntries(Object.keys(pageLists).map(name => [ name, 0 ]))
+            hosts[host][field]++
+        }
+    }
+
+    return Object.fromEntries(Object.entries(hosts).sort(([ a ], [ b ]) => a.localeCompare(b)))
+}
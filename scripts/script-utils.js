@@ -1,6 +1,11 @@
+import fs from 'fs'
 import path from 'path'
 import { parseArgs } from 'node:util'
 import { fileURLToPath } from 'url'
+import { policyFormatNames } from './policy-formats.js'
+import { reportFormatNames } from './exporters.js'
+import { ConfigError } from './errors.js'
+import { normalizeHostPattern } from './scope.js'
 
 export function getScriptDirs(metaUrl) {
     const __dirname = path.dirname(fileURLToPath(metaUrl))
@@ -19,17 +24,38 @@ export function getTimestampedFilename(reportsDir, prefix) {
     return path.join(reportsDir, `${prefix}-${timestamp}.json`)
 }
 
-export function parseIntOrExit(raw, name) {
+export function parseIntOrThrow(raw, name) {
     const value = parseInt(raw, 10)
 
     if (!Number.isFinite(value)) {
-        console.error(`❌ ${name} must be a number`)
-        process.exit(1)
+        throw new ConfigError(`${name} must be a number`)
     }
 
     return value
 }
 
+function throwIfMissingFile(filePath, name) {
+    if (filePath && !fs.existsSync(filePath)) {
+        throw new ConfigError(`${name} not found: ${filePath}`)
+    }
+}
+
+function throwIfInvalidPattern(pattern, name) {
+    try {
+        new RegExp(pattern, 'i')
+    } catch (error) {
+        throw new ConfigError(`Invalid ${name}: ${error.message}`)
+    }
+}
+
+function throwIfInvalidHosts(hosts, name) {
+    const invalidHost = hosts.find(host => !normalizeHostPattern(host))
+
+    if (invalidHost !== undefined) {
+        throw new ConfigError(`Invalid ${name} "${invalidHost}" (expected a hostname such as docs.example.com or *.example.com)`)
+    }
+}
+
 export function getCommonConfig({ reportPrefix, reportsDir, args = process.argv.slice(2), env = process.env }) {
     const { values } = parseArgs({
         args,
@@ -55,6 +81,62 @@ export function getCommonConfig({ reportPrefix, reportsDir, args = process.argv.
             quiet: { type: 'boolean' },
             excludePattern: { type: 'string' },
             'exclude-pattern': { type: 'string' },
+            includePattern: { type: 'string' },
+            'include-pattern': { type: 'string' },
+            allowedHost: { type: 'string', multiple: true },
+            'allowed-host': { type: 'string', multiple: true },
+            sitemap: { type: 'boolean' },
+            urlsFile: { type: 'string' },
+            'urls-file': { type: 'string' },
+            seedUrl: { type: 'string', multiple: true },
+            'seed-url': { type: 'string', multiple: true },
+            followLinks: { type: 'boolean' },
+            'no-follow-links': { type: 'boolean' },
+            cookies: { type: 'string' },
+            storageState: { type: 'string' },
+            'storage-state': { type: 'string' },
+            loginScript: { type: 'string' },
+            'login-script': { type: 'string' },
+            checkpointFile: { type: 'string' },
+            'checkpoint-file': { type: 'string' },
+            checkpointInterval: { type: 'string' },
+            'checkpoint-interval': { type: 'string' },
+            resume: { type: 'string' },
+            policy: { type: 'string' },
+            policyMode: { type: 'string' },
+            'policy-mode': { type: 'string' },
+            reportUri: { type: 'string' },
+            'report-uri': { type: 'string' },
+            unsafeInline: { type: 'boolean' },
+            'unsafe-inline': { type: 'boolean' },
+            unsafeHashes: { type: 'boolean' },
+            'unsafe-hashes': { type: 'boolean' },
+            section: { type: 'string', multiple: true },
+            groupByPrefix: { type: 'string' },
+            'group-by-prefix': { type: 'string' },
+            resourceLog: { type: 'string' },
+            'resource-log': { type: 'string' },
+            fromExisting: { type: 'boolean' },
+            'from-existing': { type: 'boolean' },
+            ci: { type: 'boolean' },
+            baseline: { type: 'string' },
+            maxViolations: { type: 'string' },
+            'max-violations': { type: 'string' },
+            failOnMissingCsp: { type: 'boolean' },
+            'fail-on-missing-csp': { type: 'boolean' },
+            updateBaseline: { type: 'boolean' },
+            'update-baseline': { type: 'boolean' },
+            format: { type: 'string', multiple: true },
+            outputFormat: { type: 'string', multiple: true },
+            interact: { type: 'boolean' },
+            templates: { type: 'string' },
+            'no-templates': { type: 'boolean' },
+            interactionSelector: { type: 'string', multiple: true },
+            'interaction-selector': { type: 'string', multiple: true },
+            maxInteractions: { type: 'string' },
+            'max-interactions': { type: 'string' },
+            'output-format': { type: 'string', multiple: true },
+            config: { type: 'string' },
         },
         strict: false,
         allowPositionals: true,
@@ -64,28 +146,26 @@ export function getCommonConfig({ reportPrefix, reportsDir, args = process.argv.
     const baseUrl = cliBaseUrl || env.BASE_URL
 
     if (!baseUrl) {
-        console.error('❌ BASE_URL environment variable is required (or pass --baseUrl)')
-        process.exit(1)
+        throw new ConfigError('BASE_URL environment variable is required (or pass --baseUrl)')
     }
 
     try {
         new URL(baseUrl)
     } catch {
-        console.error(`❌ Invalid URL: ${baseUrl}`)
-        process.exit(1)
+        throw new ConfigError(`Invalid URL: ${baseUrl}`)
     }
 
     const cliMaxPages = values.maxPages || values['max-pages']
     const maxPagesRaw = cliMaxPages || env.MAX_PAGES || '50000'
-    const maxPages = parseIntOrExit(maxPagesRaw, 'MAX_PAGES/--maxPages')
+    const maxPages = parseIntOrThrow(maxPagesRaw, 'MAX_PAGES/--maxPages')
 
     const cliMaxLinksPerPage = values.maxLinksPerPage || values['max-links-per-page']
     const maxLinksPerPageRaw = cliMaxLinksPerPage || env.MAX_LINKS_PER_PAGE || '50000'
-    const maxLinksPerPage = parseIntOrExit(maxLinksPerPageRaw, 'MAX_LINKS_PER_PAGE/--maxLinksPerPage')
+    const maxLinksPerPage = parseIntOrThrow(maxLinksPerPageRaw, 'MAX_LINKS_PER_PAGE/--maxLinksPerPage')
 
     const cliMaxDepth = values.maxDepth || values['max-depth']
     const maxDepthRaw = cliMaxDepth || env.MAX_DEPTH || '10'
-    const maxDepth = parseIntOrExit(maxDepthRaw, 'MAX_DEPTH/--maxDepth')
+    const maxDepth = parseIntOrThrow(maxDepthRaw, 'MAX_DEPTH/--maxDepth')
 
     const cliHeadless = values['no-headless'] ? false : values.headless
     const headless = typeof cliHeadless === 'boolean' ? cliHeadless : env.HEADLESS !== 'false'
@@ -93,20 +173,24 @@ export function getCommonConfig({ reportPrefix, reportsDir, args = process.argv.
     const cliOutputFile = values.outputFile || values['output-file']
     const outputFile = cliOutputFile || env.OUTPUT_FILE || getTimestampedFilename(reportsDir, reportPrefix)
 
+    const cliCi = values.ci
+    const ci = typeof cliCi === 'boolean' ? cliCi : env.CI_MODE === 'true'
+
+    // CI runs have nobody to answer the prompt
     const cliSkipConfirmation = values.yes || values.skipConfirmation
-    const skipConfirmation = typeof cliSkipConfirmation === 'boolean' ? cliSkipConfirmation : env.SKIP_CONFIRMATION === 'true'
+    const skipConfirmation = ci || (typeof cliSkipConfirmation === 'boolean' ? cliSkipConfirmation : env.SKIP_CONFIRMATION === 'true')
 
     const cliConcurrency = values.concurrency
     const concurrencyRaw = cliConcurrency || env.CONCURRENCY || '5'
-    const concurrency = parseIntOrExit(concurrencyRaw, 'CONCURRENCY/--concurrency')
+    const concurrency = parseIntOrThrow(concurrencyRaw, 'CONCURRENCY/--concurrency')
 
     const cliMaxRetries = values.maxRetries || values['max-retries']
     const maxRetriesRaw = cliMaxRetries || env.MAX_RETRIES || '2'
-    const maxRetries = parseIntOrExit(maxRetriesRaw, 'MAX_RETRIES/--max-retries')
+    const maxRetries = parseIntOrThrow(maxRetriesRaw, 'MAX_RETRIES/--max-retries')
 
     const cliDelay = values.delay
     const delayRaw = cliDelay || env.DELAY || '1000'
-    const delay = parseIntOrExit(delayRaw, 'DELAY/--delay')
+    const delay = parseIntOrThrow(delayRaw, 'DELAY/--delay')
 
     const cliQuiet = values.quiet
     const quiet = typeof cliQuiet === 'boolean' ? cliQuiet : env.QUIET === 'true'
@@ -114,6 +198,167 @@ export function getCommonConfig({ reportPrefix, reportsDir, args = process.argv.
     const cliExcludePattern = values.excludePattern || values['exclude-pattern']
     const excludePattern = cliExcludePattern || env.EXCLUDE_PATTERN || ''
 
+    throwIfInvalidPattern(excludePattern, 'EXCLUDE_PATTERN/--exclude-pattern')
+
+    const cliIncludePattern = values.includePattern || values['include-pattern']
+    const includePattern = cliIncludePattern || env.INCLUDE_PATTERN || ''
+
+    throwIfInvalidPattern(includePattern, 'INCLUDE_PATTERN/--include-pattern')
+
+    const cliAllowedHosts = [ ...(values.allowedHost || []), ...(values['allowed-host'] || []) ]
+    const allowedHosts = (cliAllowedHosts.length > 0 ? cliAllowedHosts.join(',') : env.ALLOWED_HOSTS || '')
+        .split(',')
+        .map(host => host.trim())
+        .filter(Boolean)
+
+    throwIfInvalidHosts(allowedHosts, 'ALLOWED_HOSTS/--allowed-host')
+
+    const cliSitemap = values.sitemap
+    const sitemap = typeof cliSitemap === 'boolean' ? cliSitemap : env.SITEMAP === 'true'
+
+    const cliUrlsFile = values.urlsFile || values['urls-file']
+    const urlsFile = cliUrlsFile || env.URLS_FILE || ''
+
+    throwIfMissingFile(urlsFile, 'URLs file')
+
+    const cliSeedUrls = [ ...(values.seedUrl || []), ...(values['seed-url'] || []) ]
+    const seedUrls = cliSeedUrls.length > 0
+        ? cliSeedUrls
+        : (env.SEED_URLS || '').split(',').map(url => url.trim()).filter(Boolean)
+
+    for (const seedUrl of seedUrls) {
+        try {
+            new URL(seedUrl, baseUrl)
+        } catch {
+            throw new ConfigError(`Invalid seed URL: ${seedUrl}`)
+        }
+    }
+
+    const cliFollowLinks = values['no-follow-links'] ? false : values.followLinks
+    const followLinks = typeof cliFollowLinks === 'boolean' ? cliFollowLinks : env.FOLLOW_LINKS !== 'false'
+
+    const cookiesFile = values.cookies || env.AUTH_COOKIES_FILE || ''
+
+    throwIfMissingFile(cookiesFile, 'Cookies file')
+
+    const cliStorageStateFile = values.storageState || values['storage-state']
+    const storageStateFile = cliStorageStateFile || env.AUTH_STORAGE_STATE_FILE || ''
+
+    throwIfMissingFile(storageStateFile, 'Storage state file')
+
+    const cliLoginScriptFile = values.loginScript || values['login-script']
+    const loginScriptFile = cliLoginScriptFile || env.AUTH_LOGIN_SCRIPT || ''
+
+    throwIfMissingFile(loginScriptFile, 'Login script')
+
+    const resumeFile = values.resume || env.RESUME_FILE || ''
+
+    throwIfMissingFile(resumeFile, 'Checkpoint to resume')
+
+    // Resumed crawls keep checkpointing to the state file they resumed from
+    const cliCheckpointFile = values.checkpointFile || values['checkpoint-file']
+    const checkpointFile = cliCheckpointFile || env.CHECKPOINT_FILE || resumeFile || getTimestampedFilename(reportsDir, 'csp-crawl-state')
+
+    const cliCheckpointInterval = values.checkpointInterval || values['checkpoint-interval']
+    const checkpointIntervalRaw = cliCheckpointInterval || env.CHECKPOINT_INTERVAL || '60'
+    const checkpointInterval = parseIntOrThrow(checkpointIntervalRaw, 'CHECKPOINT_INTERVAL/--checkpoint-interval')
+
+    const policy = values.policy || env.CANDIDATE_POLICY || ''
+
+    const cliPolicyMode = values.policyMode || values['policy-mode']
+    const policyMode = cliPolicyMode || env.POLICY_MODE || 'replace'
+
+    if (![ 'replace', 'add' ].includes(policyMode)) {
+        throw new ConfigError(`POLICY_MODE/--policy-mode must be "replace" or "add", got "${policyMode}"`)
+    }
+
+    const cliReportUri = values.reportUri || values['report-uri']
+    const reportUri = cliReportUri || env.REPORT_URI || ''
+
+    if (reportUri) {
+        try {
+            new URL(reportUri)
+        } catch {
+            throw new ConfigError(`Invalid REPORT_URI/--report-uri: ${reportUri}`)
+        }
+    }
+
+    const cliUnsafeInline = values.unsafeInline ?? values['unsafe-inline']
+    const unsafeInline = typeof cliUnsafeInline === 'boolean' ? cliUnsafeInline : env.UNSAFE_INLINE === 'true'
+
+    const cliUnsafeHashes = values.unsafeHashes ?? values['unsafe-hashes']
+    const unsafeHashes = typeof cliUnsafeHashes === 'boolean' ? cliUnsafeHashes : env.UNSAFE_HASHES === 'true'
+
+    const sections = values.section?.length > 0
+        ? values.section
+        : (env.SECTIONS || '').split(',').map(pattern => pattern.trim()).filter(Boolean)
+
+    const cliGroupByPrefix = values.groupByPrefix || values['group-by-prefix']
+    const groupByPrefixRaw = cliGroupByPrefix || env.GROUP_BY_PREFIX || '0'
+    const groupByPrefix = parseIntOrThrow(groupByPrefixRaw, 'GROUP_BY_PREFIX/--group-by-prefix')
+
+    const cliResourceLog = values.resourceLog || values['resource-log']
+    const resourceLog = cliResourceLog || env.RESOURCE_LOG || ''
+
+    const cliFromExisting = values.fromExisting ?? values['from-existing']
+    const fromExisting = typeof cliFromExisting === 'boolean' ? cliFromExisting : env.FROM_EXISTING_CSP === 'true'
+
+    const baselineFile = values.baseline || env.CSP_BASELINE || 'csp-baseline.json'
+
+    const cliMaxViolations = values.maxViolations || values['max-violations']
+    const maxViolationsRaw = cliMaxViolations || env.MAX_VIOLATIONS || '0'
+    const maxViolations = parseIntOrThrow(maxViolationsRaw, 'MAX_VIOLATIONS/--max-violations')
+
+    const cliFailOnMissingCsp = values.failOnMissingCsp ?? values['fail-on-missing-csp']
+    const failOnMissingCsp = typeof cliFailOnMissingCsp === 'boolean' ? cliFailOnMissingCsp : env.FAIL_ON_MISSING_CSP === 'true'
+
+    const updateBaseline = Boolean(values.updateBaseline ?? values['update-baseline'])
+
+    const formats = values.format?.length > 0
+        ? values.format.flatMap(format => format.split(',')).map(format => format.trim().toLowerCase()).filter(Boolean)
+        : (env.OUTPUT_FORMATS || '').split(',').map(format => format.trim().toLowerCase()).filter(Boolean)
+
+    for (const format of formats) {
+        if (!policyFormatNames.includes(format)) {
+            throw new ConfigError(`Unknown OUTPUT_FORMATS/--format "${format}" (expected ${policyFormatNames.join(', ')})`)
+        }
+    }
+
+    const cliOutputFormats = [ ...(values.outputFormat || []), ...(values['output-format'] || []) ]
+    const outputFormats = (cliOutputFormats.length > 0 ? cliOutputFormats.join(',') : env.OUTPUT_FORMAT || 'json')
+        .split(',')
+        .map(format => format.trim().toLowerCase())
+        .filter(Boolean)
+
+    for (const format of outputFormats) {
+        if (!reportFormatNames.includes(format)) {
+            throw new ConfigError(`Unknown OUTPUT_FORMAT/--output-format "${format}" (expected ${reportFormatNames.join(', ')})`)
+        }
+    }
+
+    const cliInteract = values.interact
+    const interact = typeof cliInteract === 'boolean' ? cliInteract : env.INTERACT === 'true'
+
+    // Selectors can contain commas, so the env list is semicolon-separated
+    const cliInteractionSelectors = [ ...(values.interactionSelector || []), ...(values['interaction-selector'] || []) ]
+    const interactionSelectors = cliInteractionSelectors.length > 0
+        ? cliInteractionSelectors
+        : (env.INTERACTION_SELECTORS || '').split(';').map(selector => selector.trim()).filter(Boolean)
+
+    const cliMaxInteractions = values.maxInteractions || values['max-interactions']
+    const maxInteractionsRaw = cliMaxInteractions || env.MAX_INTERACTIONS || '20'
+    const maxInteractions = parseIntOrThrow(maxInteractionsRaw, 'MAX_INTERACTIONS/--max-interactions')
+
+    const configFile = values.config || env.CSP_CRAWLER_CONFIG || ''
+
+    throwIfMissingFile(configFile, 'Config file')
+
+    // null means "match templates against the crawl"; an empty list means no templates
+    const templatesRaw = values['no-templates'] ? 'none' : values.templates || env.TEMPLATES || ''
+    const templates = templatesRaw
+        ? templatesRaw.split(',').map(id => id.trim()).filter(id => id && id !== 'none')
+        : null
+
     return {
         baseUrl,
         maxPages,
@@ -127,5 +372,127 @@ export function getCommonConfig({ reportPrefix, reportsDir, args = process.argv.
         delay,
         quiet,
         excludePattern,
+        includePattern,
+        allowedHosts: allowedHosts.map(normalizeHostPattern),
+        sitemap,
+        urlsFile,
+        seedUrls: seedUrls.map(seedUrl => new URL(seedUrl, baseUrl).toString()),
+        followLinks,
+        cookiesFile,
+        storageStateFile,
+        loginScriptFile,
+        resumeFile,
+        checkpointFile,
+        checkpointInterval,
+        policy,
+        policyMode,
+        reportUri,
+        unsafeInline,
+        unsafeHashes,
+        sections,
+        groupByPrefix,
+        resourceLog,
+        fromExisting,
+        ci,
+        baselineFile,
+        maxViolations,
+        failOnMissingCsp,
+        updateBaseline,
+        formats: [ ...new Set(formats) ],
+        outputFormats: [ ...new Set(outputFormats) ],
+        templates,
+        interact,
+        interactionSelectors,
+        maxInteractions,
+        configFile,
+    }
+}
+
+const integerOptions = [
+    'maxPages', 'maxLinksPerPage', 'maxDepth', 'concurrency', 'maxRetries', 'delay', 'checkpointInterval',
+    'groupByPrefix', 'maxViolations', 'maxInteractions',
+]
+
+const fileOptions = {
+    urlsFile: 'URLs file',
+    cookiesFile: 'Cookies file',
+    storageStateFile: 'Storage state file',
+    loginScriptFile: 'Login script',
+    resumeFile: 'Checkpoint to resume',
+    configFile: 'Config file',
+}
+
+const listOptions = [ 'seedUrls', 'sections', 'formats', 'outputFormats', 'interactionSelectors', 'allowedHosts' ]
+
+/**
+ * Build a full config from a plain object, for library callers; neither argv nor the environment is read
+ * @param {Object} options - Any getCommonConfig field; baseUrl is required
+ * @param {Object} defaults
+ * @param {string} defaults.reportPrefix - Prefix of the default outputFile
+ * @param {string} defaults.reportsDir - Directory for the default outputFile and checkpointFile
+ * @returns {Object} Config in the getCommonConfig shape; checkpointing is off unless checkpointInterval is set
+ * @throws {ConfigError} When a value is missing, has the wrong type or names a file that does not exist
+ */
+export function resolveConfig(options = {}, { reportPrefix = 'csp-crawl', reportsDir = './reports' } = {}) {
+    if (!options.baseUrl) {
+        throw new ConfigError('baseUrl is required')
+    }
+
+    const config = {
+        ...getCommonConfig({ reportPrefix, reportsDir, args: [], env: { BASE_URL: options.baseUrl } }),
+        checkpointInterval: 0,
+        ...options,
+    }
+
+    for (const name of integerOptions) {
+        if (!Number.isInteger(config[name])) {
+            throw new ConfigError(`${name} must be a whole number, got ${JSON.stringify(config[name])}`)
+        }
+    }
+
+    for (const [ name, label ] of Object.entries(fileOptions)) {
+        throwIfMissingFile(config[name], label)
+    }
+
+    for (const name of listOptions) {
+        if (!Array.isArray(config[name])) {
+            throw new ConfigError(`${name} must be an array`)
+        }
+    }
+
+    if (config.templates !== null && !Array.isArray(config.templates)) {
+        throw new ConfigError('templates must be an array of template ids, or null to match templates against the crawl')
+    }
+
+    throwIfInvalidPattern(config.excludePattern, 'excludePattern')
+    throwIfInvalidPattern(config.includePattern, 'includePattern')
+    throwIfInvalidHosts(config.allowedHosts, 'allowedHosts entry')
+
+    if (![ 'replace', 'add' ].includes(config.policyMode)) {
+        throw new ConfigError(`policyMode must be "replace" or "add", got "${config.policyMode}"`)
+    }
+
+    // Seed URLs may be relative to baseUrl; the report URI goes into the header as-is
+    for (const [ url, base ] of [ ...config.seedUrls.map(seedUrl => [ seedUrl, config.baseUrl ]), [ config.reportUri ] ]) {
+        if (!url) { continue }
+
+        try {
+            new URL(url, base)
+        } catch {
+            throw new ConfigError(`Invalid URL: ${url}`)
+        }
+    }
+
+    const unknownFormat = config.formats.find(format => !policyFormatNames.includes(format))
+        || config.outputFormats.find(format => !reportFormatNames.includes(format))
+
+    if (unknownFormat) {
+        throw new ConfigError(`Unknown format "${unknownFormat}" (expected ${[ ...policyFormatNames, ...reportFormatNames ].join(', ')})`)
+    }
+
+    return {
+        ...config,
+        seedUrls: config.seedUrls.map(seedUrl => new URL(seedUrl, config.baseUrl).toString()),
+        allowedHosts: config.allowedHosts.map(normalizeHostPattern),
     }
 }
@@ -0,0 +1,140 @@
+import { serializePolicy } from './csp-policy.js'
+
+// `*` matches any characters; a pattern without `*` matches that path and everything below it
+export function compileSectionPattern(pattern) {
+    const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')
+    const source = pattern.includes('*') ? `^${escaped}$` : `^${escaped.replace(/\/$/, '')}(?:/.*)?$`
+
+    return { pattern, regex: new RegExp(source, 'i') }
+}
+
+export function getSectionForUrl(urlString, { patterns = [], prefixDepth = 0 }) {
+    let pathname
+
+    try {
+        pathname = new URL(urlString).pathname
+    } catch (_e) {
+        return null
+    }
+
+    if (patterns.length > 0) {
+        return patterns.find(({ regex }) => regex.test(pathname))?.pattern || null
+    }
+
+    if (prefixDepth > 0) {
+        return `/${pathname.split('/').filter(Boolean).slice(0, prefixDepth).join('/')}`
+    }
+
+    return null
+}
+
+// directive -> source -> number of pages that needed it
+function countSources(pages, pageOrigins) {
+    const counts = {}
+
+    for (const pageUrl of pages) {
+        for (const [ directive, origins ] of Object.entries(pageOrigins.get(pageUrl) || {})) {
+            counts[directive] = counts[directive] || new Map()
+
+            for (const origin of origins) {
+                counts[directive].set(origin, (counts[directive].get(origin) || 0) + 1)
+            }
+        }
+    }
+
+    return counts
+}
+
+function formatCounts(counts, include = () => true) {
+    const formatted = {}
+
+    for (const [ directive, sources ] of Object.entries(counts)) {
+        const list = Array.from(sources.entries())
+            .filter(([ source ]) => include(directive, source))
+            .map(([ source, pages ]) => ({ source, pages }))
+            .sort((a, b) => b.pages - a.pages || a.source.localeCompare(b.source))
+
+        if (list.length > 0) {
+            formatted[directive] = list
+        }
+    }
+
+    return formatted
+}
+
+/**
+ * Split a site-wide policy into a base policy plus per-section additions
+ * @param {Object} options
+ * @param {Object} options.policy - Final site-wide policy (directive -> sources)
+ * @param {Map} options.pageOrigins - Page URL -> { directive: Set of external origins }
+ * @param {Object[]} options.patterns - Compiled section patterns (takes precedence over prefixDepth)
+ * @param {number} options.prefixDepth - Group pages by this many leading path segments
+ * @param {Set} options.keepInBase - "directive source" pairs that always stay in the base policy (e.g. template sources)
+ * @returns {Object} Base policy and per-section additions with page counts
+ */
+export function buildSectionPolicies({ policy, pageOrigins, patterns = [], prefixDepth = 0, keepInBase = new Set() }) {
+    const groups = new Map()
+    const unmatchedPages = []
+
+    for (const pageUrl of pageOrigins.keys()) {
+        const section = getSectionForUrl(pageUrl, { patterns, prefixDepth })
+
+        if (!section) {
+            unmatchedPages.push(pageUrl)
+            continue
+        }
+
+        if (!groups.has(section)) {
+            groups.set(section, [])
+        }
+
+        groups.get(section).push(pageUrl)
+    }
+
+    const groupCounts = new Map(Array.from(groups.entries(), ([ section, pages ]) => [ section, countSources(pages, pageOrigins) ]))
+    const allCounts = countSources(pageOrigins.keys(), pageOrigins)
+    const unmatchedCounts = countSources(unmatchedPages, pageOrigins)
+
+    // Base: everything unmatched pages need, plus anything every section needs
+    const isBaseSource = (directive, source) => {
+        if (keepInBase.has(`${directive} ${source}`)) { return true }
+
+        if (unmatchedCounts[directive]?.has(source)) { return true }
+
+        return groupCounts.size > 0 && Array.from(groupCounts.values()).every(counts => counts[directive]?.has(source))
+    }
+
+    const basePolicy = {}
+
+    for (const [ directive, sources ] of Object.entries(policy)) {
+        basePolicy[directive] = sources.filter(source => !allCounts[directive]?.has(source) || isBaseSource(directive, source))
+    }
+
+    const sections = Array.from(groups.entries(), ([ section, pages ]) => {
+        const additions = formatCounts(groupCounts.get(section), (directive, source) => !isBaseSource(directive, source))
+        const sectionPolicy = structuredClone(basePolicy)
+
+        for (const [ directive, sources ] of Object.entries(additions)) {
+            sectionPolicy[directive] = sectionPolicy[directive] || [ "'self'" ]
+            sectionPolicy[directive].push(...sources.map(({ source }) => source))
+        }
+
+        return {
+            section,
+            pages: pages.length,
+            additions,
+            header: serializePolicy(sectionPolicy),
+        }
+    }).sort((a, b) => b.pages - a.pages)
+
+    return {
+        groupBy: patterns.length > 0 ? 'patterns' : 'prefix',
+        base: {
+            pages: unmatchedPages.length,
+            sources: formatCounts(allCounts, isBaseSource),
+            policy: basePolicy,
+            header: serializePolicy(basePolicy),
+        },
+        sections,
+    }
+}
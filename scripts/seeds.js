@@ -0,0 +1,92 @@
+import fs from 'fs'
+
+const hrefPattern = /<a\b[^>]*?\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi
+const htmlEntities = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", apos: "'" }
+
+function decodeHtmlEntities(value) {
+    return value.replace(/&(amp|lt|gt|quot|#39|apos);/g, (_match, name) => htmlEntities[name])
+}
+
+function resolveUrl(rawUrl, baseUrl) {
+    try {
+        const url = new URL(rawUrl, baseUrl)
+
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') { return null }
+
+        return url.toString()
+    } catch (_e) {
+        return null
+    }
+}
+
+// Detect the list format: JSON array, HTML page (e.g. the Craft utility templates) or one URL per line
+export function detectListFormat(content) {
+    const trimmed = content.trim()
+
+    if (trimmed.startsWith('[')) { return 'json' }
+
+    if ((/<(?:!doctype|html|body|a\s)/i).test(trimmed)) { return 'html' }
+
+    return 'lines'
+}
+
+/**
+ * Parse a list of URLs from a newline list, JSON array or HTML page
+ * @param {string} content - Raw list content
+ * @param {string} baseUrl - URL used to resolve relative entries
+ * @returns {string[]} Absolute http(s) URLs in list order, without duplicates
+ */
+export function parseUrlList(content, baseUrl) {
+    const format = detectListFormat(content)
+    let rawUrls = []
+
+    if (format === 'json') {
+        const parsed = JSON.parse(content)
+
+        if (!Array.isArray(parsed)) {
+            throw new Error('JSON URL list must be an array')
+        }
+
+        rawUrls = parsed.map(entry => (typeof entry === 'string' ? entry : entry?.url)).filter(Boolean)
+    } else if (format === 'html') {
+        rawUrls = Array.from(content.matchAll(hrefPattern), match => decodeHtmlEntities(match[1] ?? match[2] ?? match[3]))
+    } else {
+        rawUrls = content
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'))
+    }
+
+    const urls = rawUrls.map(rawUrl => resolveUrl(rawUrl.trim(), baseUrl)).filter(Boolean)
+
+    return [ ...new Set(urls) ]
+}
+
+export function loadUrlsFile(filePath, baseUrl) {
+    return parseUrlList(fs.readFileSync(filePath, 'utf-8'), baseUrl)
+}
+
+// Load a seed page (such as a Craft utility template) in the browser so it shares the crawl's session
+export async function loadSeedUrl(browser, seedUrl, preparePage) {
+    const page = await browser.newPage()
+
+    try {
+        if (preparePage) {
+            await preparePage(page)
+        }
+
+        const response = await page.goto(seedUrl, { waitUntil: 'networkidle2', timeout: 30000 })
+
+        if (!response || !response.ok()) {
+            throw new Error(`HTTP ${response?.status() ?? 'no response'}`)
+        }
+
+        return parseUrlList(await response.text(), response.url())
+    } finally {
+        try {
+            await page.close()
+        } catch (_e) {
+            // Ignore close errors
+        }
+    }
+}
@@ -0,0 +1,131 @@
+import zlib from 'zlib'
+
+const fetchTimeoutMs = 30000
+
+const locPattern = /<loc>\s*(?:<!\[CDATA\[)?\s*([\s\S]*?)\s*(?:\]\]>)?\s*<\/loc>/gi
+const xmlEntities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }
+
+function decodeXmlEntities(value) {
+    return value.replace(/&(amp|lt|gt|quot|apos);/g, (_match, name) => xmlEntities[name])
+}
+
+function extractLocs(xml) {
+    return Array.from(xml.matchAll(locPattern), match => decodeXmlEntities(match[1].trim())).filter(Boolean)
+}
+
+// Fetch a sitemap (or robots.txt) as text, inflating gzipped sitemaps that are served raw
+async function fetchText(url) {
+    const response = await fetch(url, { redirect: 'follow', signal: AbortSignal.timeout(fetchTimeoutMs) })
+
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`)
+    }
+
+    let buffer = Buffer.from(await response.arrayBuffer())
+
+    if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+        buffer = zlib.gunzipSync(buffer)
+    }
+
+    return buffer.toString('utf-8')
+}
+
+export function parseRobotsSitemaps(robotsTxt, robotsUrl) {
+    const sitemaps = []
+
+    for (const line of robotsTxt.split(/\r?\n/)) {
+        const match = line.match(/^\s*sitemap\s*:\s*(\S+)/i)
+
+        if (!match) { continue }
+
+        try {
+            sitemaps.push(new URL(match[1], robotsUrl).toString())
+        } catch (_e) {
+            // Invalid sitemap URL, skip
+        }
+    }
+
+    return sitemaps
+}
+
+export function parseSitemap(xml) {
+    if ((/<sitemapindex[\s>]/i).test(xml)) {
+        return { type: 'index', locs: extractLocs(xml) }
+    }
+
+    return { type: 'urlset', locs: extractLocs(xml) }
+}
+
+/**
+ * Discover page URLs from robots.txt `Sitemap:` lines and /sitemap.xml
+ * @param {Object} options
+ * @param {string} options.baseUrl - Site URL used to locate robots.txt and /sitemap.xml
+ * @param {Function} options.log - Logger for progress output
+ * @param {number} options.maxSitemaps - Maximum number of sitemap files to fetch
+ * @returns {Promise<{ urls: string[], sitemaps: string[], errors: Object[] }>} sitemaps lists only the files that loaded; a missing
+ *   /sitemap.xml is only an error when no other sitemap loaded
+ */
+export async function discoverSitemapUrls({ baseUrl, log = () => {}, maxSitemaps = 1000 }) {
+    const origin = new URL(baseUrl).origin
+    const robotsUrl = `${origin}/robots.txt`
+    const queue = []
+    const seenSitemaps = new Set()
+    const loadedSitemaps = []
+    const urls = new Set()
+    const errors = []
+
+    try {
+        const robotsSitemaps = parseRobotsSitemaps(await fetchText(robotsUrl), robotsUrl)
+
+        log(`🤖 robots.txt lists ${robotsSitemaps.length} sitemap(s)`)
+        queue.push(...robotsSitemaps)
+    } catch (error) {
+        log(`⚠️  Could not read ${robotsUrl}: ${error.message}`)
+    }
+
+    // Probed by convention rather than listed, so a 404 here is not a problem when robots.txt lists others
+    const defaultSitemapUrl = `${origin}/sitemap.xml`
+    let defaultSitemapError = null
+
+    queue.push(defaultSitemapUrl)
+
+    while (queue.length > 0 && seenSitemaps.size < maxSitemaps) {
+        const sitemapUrl = queue.shift()
+
+        if (seenSitemaps.has(sitemapUrl)) { continue }
+
+        seenSitemaps.add(sitemapUrl)
+
+        try {
+            const { type, locs } = parseSitemap(await fetchText(sitemapUrl))
+
+            loadedSitemaps.push(sitemapUrl)
+
+            if (type === 'index') {
+                log(`🗂️  Sitemap index ${sitemapUrl} lists ${locs.length} sitemap(s)`)
+                queue.push(...locs)
+            } else {
+                log(`🗺️  Sitemap ${sitemapUrl} lists ${locs.length} URL(s)`)
+                locs.forEach(loc => urls.add(loc))
+            }
+        } catch (error) {
+            log(`⚠️  Could not read sitemap ${sitemapUrl}: ${error.message}`)
+
+            if (sitemapUrl === defaultSitemapUrl) {
+                defaultSitemapError = { url: sitemapUrl, error: `Sitemap: ${error.message}` }
+            } else {
+                errors.push({ url: sitemapUrl, error: `Sitemap: ${error.message}` })
+            }
+        }
+    }
+
+    if (defaultSitemapError && loadedSitemaps.length === 0) {
+        errors.unshift(defaultSitemapError)
+    }
+
+    return {
+        urls: Array.from(urls),
+        sitemaps: loadedSitemaps,
+        errors,
+    }
+}
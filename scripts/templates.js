@@ -0,0 +1,184 @@
+import fs from 'fs'
+import path from 'path'
+import { knownDirectives, sourceMatchesUrl, stripSourcePath, validateSourceExpression } from './csp-policy.js'
+
+const templateFields = [ 'name', 'description', 'docsUrl', 'lastReviewed', 'directives', 'optionalDirectives', 'notes' ]
+
+function validateDirectives(directives, field, errors) {
+    if (!directives || typeof directives !== 'object' || Array.isArray(directives)) {
+        errors.push(`"${field}" must be an object of directive -> sources`)
+
+        return
+    }
+
+    for (const [ directive, sources ] of Object.entries(directives)) {
+        if (!knownDirectives.includes(directive)) {
+            errors.push(`${field}: unknown directive "${directive}"`)
+        }
+
+        if (!Array.isArray(sources) || sources.some(source => typeof source !== 'string')) {
+            errors.push(`${field}.${directive} must be an array of strings`)
+            continue
+        }
+
+        for (const source of sources) {
+            const sourceError = validateSourceExpression(source)
+
+            if (sourceError) {
+                errors.push(`${field}.${directive}: ${sourceError}`)
+            }
+        }
+    }
+}
+
+/**
+ * Check a template against the schema:
+ * { name, directives, optionalDirectives?, description?, docsUrl?, lastReviewed? (YYYY-MM-DD), notes? (string or string[]) }
+ * @param {Object} template - Parsed template JSON
+ * @returns {string[]} Problems found (empty when valid)
+ */
+export function validateTemplate(template) {
+    const errors = []
+
+    if (!template || typeof template !== 'object' || Array.isArray(template)) {
+        return [ 'template must be a JSON object' ]
+    }
+
+    if (typeof template.name !== 'string' || !template.name.trim()) {
+        errors.push('"name" is required')
+    }
+
+    if (!template.directives) {
+        errors.push('"directives" is required')
+    } else {
+        validateDirectives(template.directives, 'directives', errors)
+    }
+
+    if (template.optionalDirectives !== undefined) {
+        validateDirectives(template.optionalDirectives, 'optionalDirectives', errors)
+    }
+
+    if (template.description !== undefined && typeof template.description !== 'string') {
+        errors.push('"description" must be a string')
+    }
+
+    if (template.docsUrl !== undefined) {
+        try {
+            new URL(template.docsUrl)
+        } catch (_e) {
+            errors.push(`"docsUrl" is not a valid URL: ${template.docsUrl}`)
+        }
+    }
+
+    if (template.lastReviewed !== undefined && !((/^\d{4}-\d{2}-\d{2}$/).test(template.lastReviewed) && !isNaN(Date.parse(template.lastReviewed)))) {
+        errors.push(`"lastReviewed" must be a YYYY-MM-DD date, got ${template.lastReviewed}`)
+    }
+
+    if (template.notes !== undefined && typeof template.notes !== 'string' && !(Array.isArray(template.notes) && template.notes.every(note => typeof note === 'string'))) {
+        errors.push('"notes" must be a string or an array of strings')
+    }
+
+    for (const field of Object.keys(template)) {
+        if (!templateFields.includes(field)) {
+            errors.push(`unknown field "${field}"`)
+        }
+    }
+
+    return errors
+}
+
+// Read and validate every template file; `id` is the file name without .json (e.g. google-analytics)
+export function readTemplateFiles(templatesDir) {
+    if (!fs.existsSync(templatesDir)) { return [] }
+
+    return fs.readdirSync(templatesDir).filter(f => f.endsWith('.json')).sort().map(file => {
+        const id = path.basename(file, '.json')
+
+        try {
+            const content = JSON.parse(fs.readFileSync(path.join(templatesDir, file), 'utf-8'))
+
+            return { file, id, template: { file, id, ...content }, errors: validateTemplate(content) }
+        } catch (error) {
+            return { file, id, template: null, errors: [ `invalid JSON: ${error.message}` ] }
+        }
+    })
+}
+
+// Load the valid templates from directory; invalid ones are reported through `log` and left out
+export function loadTemplates(templatesDir, { log = console.log } = {}) {
+    const templates = []
+
+    for (const { file, template, errors } of readTemplateFiles(templatesDir)) {
+        if (errors.length > 0) {
+            log(`❌ Skipping template ${file}:`)
+            errors.forEach(error => log(`   - ${error}`))
+            continue
+        }
+
+        templates.push(template)
+    }
+
+    return templates
+}
+
+/**
+ * Merge template directives into policy
+ * @param {Object} policy - Policy to extend (directive -> sources)
+ * @param {Object} template - Loaded template
+ * @param {Object[]} optionalSources - { directive, source } entries from optionalDirectives to include as well
+ */
+export function mergeTemplate(policy, template, optionalSources = []) {
+    const entries = [
+        ...Object.entries(template.directives).flatMap(([ directive, sources ]) => sources.map(source => ({ directive, source }))),
+        ...optionalSources,
+    ]
+
+    for (const { directive, source } of entries) {
+        if (!policy[directive]) {
+            policy[directive] = [ "'self'" ]
+        }
+
+        if (!policy[directive].includes(source)) {
+            policy[directive].push(source)
+        }
+    }
+}
+
+// The crawl only keeps origins, so a source with a path is matched on its scheme, host and port
+function sourceMatchesOrigin(source, origin, selfUrl) {
+    return sourceMatchesUrl(stripSourcePath(source), origin, selfUrl)
+}
+
+/**
+ * Match a template against the origins the crawl discovered
+ * @param {Object} template - Loaded template
+ * @param {Object} discoveredOrigins - directive -> Set of origins found during the crawl
+ * @param {string} selfUrl - Base URL, for scheme-less template sources
+ * @returns {Object} { matched, matchedSources: [{ directive, source, origins }], unusedSources: [{ directive, source }],
+ *   seenOptionalSources: [{ directive, source }] } - optional sources are only worth including when the crawl saw them
+ */
+export function matchTemplate(template, discoveredOrigins, selfUrl) {
+    const matchedSources = []
+    const unusedSources = []
+
+    for (const [ directive, sources ] of Object.entries(template.directives)) {
+        const directiveOrigins = Array.from(discoveredOrigins[directive] || [])
+
+        for (const source of sources) {
+            // Only the same directive counts, so a shared host (www.google.com as an image) does not pull in a service's scripts
+            const origins = directiveOrigins.filter(origin => sourceMatchesOrigin(source, origin, selfUrl))
+
+            if (origins.length > 0) {
+                matchedSources.push({ directive, source, origins })
+            } else {
+                unusedSources.push({ directive, source })
+            }
+        }
+    }
+
+    const seenOptionalSources = Object.entries(template.optionalDirectives || {}).flatMap(([ directive, sources ]) => sources
+        .filter(source => Array.from(discoveredOrigins[directive] || []).some(origin => sourceMatchesOrigin(source, origin, selfUrl)))
+        .map(source => ({ directive, source })))
+
+    return { matched: matchedSources.length > 0, matchedSources, unusedSources, seenOptionalSources }
+}
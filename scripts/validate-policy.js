@@ -0,0 +1,261 @@
+import { resolveConfig } from './script-utils.js'
+import { directiveForRequest, loadCandidatePolicy, parsePolicy, serializePolicy } from './csp-policy.js'
+import { auditPolicy, summarizeAudit } from './policy-audit.js'
+import { analyzeExistingPolicy, getLoadKey, readExistingPolicyHeader, suggestTightenedPolicy } from './existing-policy.js'
+import { crawlSite } from './crawler.js'
+import { summarizeHosts } from './scope.js'
+import { normalizeViolation, parseConsoleViolation, violationKey, violationMatchKey } from './violations.js'
+import { resolveLogger } from './logger.js'
+import { ConfigError } from './errors.js'
+
+/**
+ * Crawl a site and collect the CSP violations its pages report, optionally under a candidate policy
+ * @param {Object} validateConfig - Settings in the getCommonConfig shape; missing fields get their defaults (see resolveConfig)
+ * @param {Object} options - signal, logger, onEvent, plugins, confirm and env as for crawlSite; onEvent also receives
+ *   { type: 'violation', violation } and { type: 'page:no-csp', url }
+ * @returns {Promise<Object>} The report csp-validator saves: violations, pages without CSP, deployed policy analysis...
+ * @throws {ConfigError|PluginError|AuthError|CheckpointError|CrawlCancelledError|CrawlAbortedError}
+ */
+export async function validatePolicy(validateConfig, options = {}) {
+    const config = resolveConfig(validateConfig, { reportPrefix: 'csp-violations' })
+    const logger = resolveLogger(options.logger)
+    const emit = event => options.onEvent?.(event)
+
+    logger.info('🔍 Starting CSP crawler...')
+    logger.info(`📍 Base URL: ${config.baseUrl}`)
+
+    let candidatePolicy = null
+
+    try {
+        candidatePolicy = config.policy ? loadCandidatePolicy(config.policy) : null
+    } catch (error) {
+        throw new ConfigError(`Could not load candidate policy: ${error.message}`, { cause: error })
+    }
+
+    if (candidatePolicy) {
+        logger.info(`🧪 Testing candidate policy as Content-Security-Policy-Report-Only (${config.policyMode} mode)`)
+        logger.info(`   ${candidatePolicy.header}`)
+    }
+
+    // Collect CSP violations
+    const violations = []
+    const violationKeys = new Set()
+    const consoleViolations = new Map() // Console text, used only for pages without structured events
+    const pagesWithoutCsp = new Set()
+    const serverCspHeaders = new Map() // Headers the server sent before the candidate policy was injected
+    const pagesPolicyNotInjected = new Set() // Candidate runs only: pages that loaded without the candidate policy
+
+    // Every distinct load, grouped by the deployed policy of the page that made it; a page's headers are only known once it has loaded
+    const policyUsage = new Map() // Policy header -> { header, reportOnly, pages, loads: Map }
+    const pendingLoads = new Map() // Page URL -> loads made before its headers were read
+    const pagePolicies = new Map() // Page URL -> policy header, or null without CSP
+
+    const crawlResults = await crawlSite(config, {
+        action: 'VALIDATE Content Security Policy',
+        signal: options.signal,
+        logger,
+        onEvent: options.onEvent,
+        plugins: options.plugins,
+        confirm: options.confirm,
+        env: options.env,
+        checkpoint: {
+            save: () => ({
+                violations,
+                consoleViolations: Array.from(consoleViolations.values()),
+                pagesWithoutCsp: Array.from(pagesWithoutCsp),
+                pagesPolicyNotInjected: Array.from(pagesPolicyNotInjected),
+                policyUsage: Array.from(policyUsage.values(), ({ loads, ...usage }) => ({ ...usage, loads: Array.from(loads.entries()) })),
+            }),
+            restore: data => {
+                violations.push(...data.violations)
+                violations.forEach(violation => violationKeys.add(violationKey(violation)))
+                data.consoleViolations.forEach(violation => consoleViolations.set(`${violation.url}|${violation.violation}`, violation))
+                data.pagesWithoutCsp.forEach(url => pagesWithoutCsp.add(url))
+                data.pagesPolicyNotInjected?.forEach(url => pagesPolicyNotInjected.add(url))
+                data.policyUsage?.forEach(usage => policyUsage.set(usage.header, { ...usage, loads: new Map(usage.loads) }))
+            },
+        },
+        onRequestIntercept: (request, pageUrl) => {
+            const directive = directiveForRequest(request)
+            const loadKey = directive && pageUrl ? getLoadKey(request.url()) : null
+
+            if (!loadKey || pagePolicies.get(pageUrl) === null) { return }
+
+            if (!pagePolicies.has(pageUrl) && !pendingLoads.has(pageUrl)) {
+                pendingLoads.set(pageUrl, new Map())
+            }
+
+            const loads = pagePolicies.has(pageUrl) ? policyUsage.get(pagePolicies.get(pageUrl)).loads : pendingLoads.get(pageUrl)
+            const key = `${directive} ${loadKey}`
+
+            if (!loads.has(key)) {
+                loads.set(key, { kind: 'resource', page: pageUrl, url: loadKey, directive, initiator: { type: request.initiator()?.type || null } })
+            }
+        },
+        onCspViolation: (rawViolation, pageUrl, { interactionTriggered } = {}) => {
+            const violation = normalizeViolation(rawViolation, pageUrl)
+            const key = violationKey(violation)
+
+            if (violationKeys.has(key)) { return }
+
+            if (candidatePolicy) {
+                violation.candidate = violation.originalPolicy?.trim() === candidatePolicy.header
+            }
+
+            if (config.interact) {
+                violation.interactionTriggered = Boolean(interactionTriggered)
+            }
+
+            violationKeys.add(key)
+            violations.push(violation)
+            logger.info(`🚫 CSP Violation found: ${violation.violation} on ${pageUrl}${violation.interactionTriggered ? ' (after interaction)' : ''}`)
+            emit({ type: 'violation', violation })
+        },
+        onConsoleMessage: (msg, pageUrl, { interactionTriggered } = {}) => {
+            const text = msg.text()
+
+            if (text.includes('[Report Only]') || text.includes('Content Security Policy')) {
+                const key = `${pageUrl}|${text}`
+
+                if (!consoleViolations.has(key)) {
+                    consoleViolations.set(key, {
+                        url: pageUrl,
+                        timestamp: new Date().toISOString(),
+                        violation: text,
+                        type: 'console',
+                        ...(config.interact ? { interactionTriggered: Boolean(interactionTriggered) } : {}),
+                    })
+                }
+            }
+        },
+        transformDocumentHeaders: candidatePolicy
+            ? (headers, url) => {
+                const serverReportOnly = headers['content-security-policy-report-only']
+
+                serverCspHeaders.set(url, {
+                    'content-security-policy': headers['content-security-policy'],
+                    'content-security-policy-report-only': serverReportOnly,
+                })
+
+                // Multiple policies in one header are comma-separated and all enforced
+                const reportOnly = config.policyMode === 'add' && serverReportOnly
+                    ? `${serverReportOnly}, ${candidatePolicy.header}`
+                    : candidatePolicy.header
+
+                return { ...headers, 'content-security-policy-report-only': reportOnly }
+            }
+            : undefined,
+        onPageVisit: (_page, url, _depth, response) => {
+            if (response) {
+                // Without captured headers the candidate policy was never served, so the page proves nothing about it
+                const injected = !candidatePolicy || serverCspHeaders.has(response.url())
+
+                if (!injected && !pagesPolicyNotInjected.has(url)) {
+                    pagesPolicyNotInjected.add(url)
+                    logger.warn(`⚠️  Candidate policy not injected on: ${url}`)
+                }
+
+                const headers = candidatePolicy && injected ? serverCspHeaders.get(response.url()) : response.headers()
+                const cspHeader = headers['content-security-policy']
+                const cspReportOnly = headers['content-security-policy-report-only']
+
+                if (!cspHeader && !cspReportOnly && !pagesWithoutCsp.has(url)) {
+                    pagesWithoutCsp.add(url)
+                    logger.warn(`⚠️  No CSP header on document: ${url}`)
+                    emit({ type: 'page:no-csp', url })
+                }
+
+                // Move the loads made while the page loaded under the policy it was served with
+                const deployed = readExistingPolicyHeader(headers)
+                const loads = pendingLoads.get(url) || new Map()
+
+                pendingLoads.delete(url)
+                pagePolicies.set(url, deployed?.header || null)
+
+                if (deployed) {
+                    if (!policyUsage.has(deployed.header)) {
+                        policyUsage.set(deployed.header, { ...deployed, pages: 0, loads: new Map() })
+                    }
+
+                    const usage = policyUsage.get(deployed.header)
+
+                    usage.pages++
+                    loads.forEach((entry, key) => {
+                        if (!usage.loads.has(key)) {
+                            usage.loads.set(key, entry)
+                        }
+                    })
+                }
+            }
+        },
+    })
+
+    // Console text is a fallback for frames the event listener cannot reach (e.g. cross-origin iframes), so only messages
+    // that repeat an event are dropped; a console message naming default-src can repeat an event under any directive
+    const pagesWithEvents = new Set(violations.map(violation => violation.url))
+    const eventKeys = new Set(violations.flatMap(violation => [
+        violationMatchKey(violation),
+        violationMatchKey({ ...violation, effectiveDirective: 'default-src' }),
+    ]))
+
+    for (const violation of consoleViolations.values()) {
+        const parsed = parseConsoleViolation(violation.violation)
+        const isDuplicate = parsed ? eventKeys.has(violationMatchKey({ url: violation.url, ...parsed })) : pagesWithEvents.has(violation.url)
+
+        if (!isDuplicate) {
+            violations.push(violation)
+            logger.info(`🚫 CSP Violation found (console): ${violation.violation}`)
+            emit({ type: 'violation', violation })
+        }
+    }
+
+    // Sources of each deployed policy that nothing used, broad sources and a tighter suggestion; inline code is not collected here
+    const policyAnalysis = Array.from(policyUsage.values(), ({ header, reportOnly, pages, loads }) => {
+        const policy = parsePolicy(header)
+        const { usedSources, unusedSources, unverifiedSources } = analyzeExistingPolicy(policy, Array.from(loads.values()), { inlineObserved: false })
+        const tightened = suggestTightenedPolicy(policy, { usedSources, unusedSources }, config.baseUrl)
+        const auditFindings = auditPolicy(policy, { reportOnly })
+
+        return {
+            header,
+            reportOnly,
+            pages,
+            loads: loads.size,
+            usedSources,
+            unusedSources,
+            unverifiedSources,
+            broadSources: tightened.broadSources,
+            suggestedHeader: serializePolicy(tightened.policy),
+            audit: { summary: summarizeAudit(auditFindings), findings: auditFindings },
+        }
+    }).sort((a, b) => b.pages - a.pages)
+
+    // Violations and pages without CSP per host, next to the crawl counts
+    const hostFindings = summarizeHosts({ violations: violations.map(violation => violation.url), pagesWithoutCsp: Array.from(pagesWithoutCsp) })
+    const hosts = Object.fromEntries(Object.keys({ ...crawlResults.hosts, ...hostFindings }).sort().map(host => [ host, {
+        ...crawlResults.hosts[host],
+        violations: hostFindings[host]?.violations || 0,
+        pagesWithoutCsp: hostFindings[host]?.pagesWithoutCsp || 0,
+    } ]))
+    const candidateAudit = candidatePolicy ? auditPolicy(parsePolicy(candidatePolicy.header)) : null
+
+    return {
+        timestamp: new Date().toISOString(),
+        baseUrl: config.baseUrl,
+        partial: crawlResults.partial,
+        pagesScanned: crawlResults.pagesScanned,
+        pageSources: crawlResults.pageSources,
+        pagesRedirectedExternal: crawlResults.pagesRedirectedExternal,
+        pagesFailed: crawlResults.pagesFailed,
+        pagesAbandoned: crawlResults.pagesAbandoned,
+        hosts,
+        pagesWithoutCsp: Array.from(pagesWithoutCsp),
+        pagesPolicyNotInjected: Array.from(pagesPolicyNotInjected),
+        candidatePolicy: candidatePolicy ? { ...candidatePolicy, mode: config.policyMode, audit: { summary: summarizeAudit(candidateAudit), findings: candidateAudit } } : null,
+        totalViolations: violations.length,
+        violations: violations,
+        policyAnalysis,
+        crawlStats: crawlResults.crawlStats,
+        pluginFindings: crawlResults.pluginFindings,
+    }
+}
@@ -0,0 +1,147 @@
+const violationFields = [ 'violatedDirective', 'effectiveDirective', 'blockedURI', 'sourceFile', 'lineNumber', 'columnNumber', 'disposition', 'sample', 'documentURI', 'originalPolicy', 'statusCode' ]
+
+// Summary line in the same spirit as the browser's console message
+export function describeViolation(violation) {
+    const prefix = violation.disposition === 'report' ? '[Report Only] ' : ''
+    const blocked = violation.blockedURI || 'inline'
+
+    return `${prefix}Refused to load ${blocked} because it violates the "${violation.effectiveDirective || violation.violatedDirective}" directive`
+}
+
+/**
+ * Normalize a securitypolicyviolation event (or CSP report body) into a violation record
+ * @param {Object} raw - Event or report fields (violatedDirective, blockedURI, ...)
+ * @param {string} pageUrl - Page the violation was recorded on
+ * @param {string} type - How the violation was captured (e.g. 'event')
+ * @returns {Object} Violation record
+ */
+export function normalizeViolation(raw, pageUrl, type = 'event') {
+    const violation = {
+        url: pageUrl,
+        timestamp: new Date().toISOString(),
+        type,
+    }
+
+    for (const field of violationFields) {
+        violation[field] = raw[field] ?? null
+    }
+
+    // Older reports only carry violatedDirective, which may include the source list
+    violation.effectiveDirective = violation.effectiveDirective || violation.violatedDirective?.split(' ')[0] || null
+    violation.violation = describeViolation(violation)
+
+    return violation
+}
+
+// The same violation fired again on the same page (e.g. a retried load) is not a new finding
+export function violationKey(violation) {
+    return [
+        violation.url,
+        violation.effectiveDirective,
+        violation.blockedURI,
+        violation.sourceFile,
+        violation.lineNumber,
+        violation.disposition,
+    ].join('|')
+}
+
+// Origin of a blocked URL; keywords like 'inline', 'eval' and 'data' are returned as they are
+export function blockedOrigin(violation) {
+    try {
+        const url = new URL(violation.blockedURI)
+
+        if (url.origin !== 'null') {
+            return url.origin
+        }
+    } catch (_e) {
+        // Not a URL
+    }
+
+    return violation.blockedURI || null
+}
+
+// Directive + blocked origin, so the same finding on another page or path counts once across runs
+export function violationFindingKey(violation) {
+    // Console-only findings have no structured fields
+    return `${violation.effectiveDirective || violation.violatedDirective || 'unknown'} ${blockedOrigin(violation) || violation.violation}`
+}
+
+/**
+ * Read the directive and blocked resource from a browser console message such as
+ * `[Report Only] Refused to load the script 'https://cdn.test/a.js' because it violates the following Content Security Policy directive: "script-src 'self'"`
+ * @param {string} text - Console message
+ * @returns {Object|null} { effectiveDirective, blockedURI, disposition }, or null when the message names no directive
+ */
+export function parseConsoleViolation(text) {
+    const directive = text.match(/directive: "([a-z-]+)/i)?.[1]
+
+    if (!directive) { return null }
+
+    const quoted = text.match(/Refused to [^']*?'([^']+)' because/)?.[1]
+
+    return {
+        effectiveDirective: directive.toLowerCase(),
+        blockedURI: quoted || (text.includes("'unsafe-eval'") ? 'eval' : 'inline'),
+        disposition: text.includes('[Report Only]') ? 'report' : 'enforce',
+    }
+}
+
+// What a console message and the event for the same violation share: page, disposition, directive family and blocked origin
+export function violationMatchKey({ url, disposition, effectiveDirective, blockedURI }) {
+    let blocked = blockedURI || 'inline'
+
+    try {
+        const parsed = new URL(blocked)
+
+        // Events report data: and blob: loads by scheme only
+        blocked = parsed.origin === 'null' ? parsed.protocol.slice(0, -1) : parsed.origin
+    } catch (_e) {
+        // Keyword such as inline or eval
+    }
+
+    return [ url, disposition, (effectiveDirective || '').replace(/-(?:elem|attr)$/, ''), blocked ].join('|')
+}
+
+// report-uri bodies: { "csp-report": { "document-uri": ..., "blocked-uri": ... } }
+export function fromCspReport(body) {
+    const report = body['csp-report'] || body
+
+    return {
+        pageUrl: report['document-uri'] || '',
+        raw: {
+            violatedDirective: report['violated-directive'],
+            effectiveDirective: report['effective-directive'],
+            blockedURI: report['blocked-uri'],
+            sourceFile: report['source-file'],
+            lineNumber: report['line-number'],
+            columnNumber: report['column-number'],
+            disposition: report.disposition || 'enforce',
+            sample: report['script-sample'],
+            documentURI: report['document-uri'],
+            originalPolicy: report['original-policy'],
+            statusCode: report['status-code'],
+        },
+    }
+}
+
+// Reporting API entries: { type: 'csp-violation', url, body: { documentURL, blockedURL, ... } }
+export function fromReportingApi(entry) {
+    const body = entry.body || {}
+
+    return {
+        pageUrl: body.documentURL || entry.url || '',
+        raw: {
+            violatedDirective: body.effectiveDirective,
+            effectiveDirective: body.effectiveDirective,
+            blockedURI: body.blockedURL,
+            sourceFile: body.sourceFile,
+            lineNumber: body.lineNumber,
+            columnNumber: body.columnNumber,
+            disposition: body.disposition,
+            sample: body.sample,
+            documentURI: body.documentURL,
+            originalPolicy: body.originalPolicy,
+            statusCode: body.statusCode,
+        },
+    }
+}
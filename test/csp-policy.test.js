@@ -0,0 +1,115 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { evaluateLoad, parsePolicy, sourceMatchesUrl, stripSourcePath, validateSourceExpression } from '../scripts/csp-policy.js'
+
+const page = 'https://example.com/blog/post'
+
+describe('sourceMatchesUrl', () => {
+    it('matches self on the same host and its secure upgrade', () => {
+        assert.equal(sourceMatchesUrl("'self'", 'https://example.com/app.js', page), true)
+        assert.equal(sourceMatchesUrl("'self'", 'https://cdn.example.com/app.js', page), false)
+        assert.equal(sourceMatchesUrl("'self'", 'https://example.com/app.js', 'http://example.com/'), true)
+        assert.equal(sourceMatchesUrl("'self'", 'http://example.com/app.js', page), false)
+    })
+
+    it('matches scheme sources', () => {
+        assert.equal(sourceMatchesUrl('https:', 'https://cdn.test/a.js', page), true)
+        assert.equal(sourceMatchesUrl('http:', 'https://cdn.test/a.js', page), true)
+        assert.equal(sourceMatchesUrl('https:', 'http://cdn.test/a.js', page), false)
+        assert.equal(sourceMatchesUrl('data:', 'data:image/png;base64,AAAA', page), true)
+    })
+
+    it('matches host wildcards on subdomains only', () => {
+        assert.equal(sourceMatchesUrl('*.example.com', 'https://cdn.example.com/a.js', page), true)
+        assert.equal(sourceMatchesUrl('*.example.com', 'https://a.b.example.com/a.js', page), true)
+        assert.equal(sourceMatchesUrl('*.example.com', 'https://example.com/a.js', page), false)
+        assert.equal(sourceMatchesUrl('*.example.com', 'https://badexample.com/a.js', page), false)
+    })
+
+    it('lets * match network schemes but not data:', () => {
+        assert.equal(sourceMatchesUrl('*', 'https://anything.test/a.js', page), true)
+        assert.equal(sourceMatchesUrl('*', 'data:text/plain,hi', page), false)
+    })
+
+    it('matches ports', () => {
+        assert.equal(sourceMatchesUrl('https://cdn.test', 'https://cdn.test:443/a.js', page), true)
+        assert.equal(sourceMatchesUrl('https://cdn.test', 'https://cdn.test:8443/a.js', page), false)
+        assert.equal(sourceMatchesUrl('https://cdn.test:8443', 'https://cdn.test:8443/a.js', page), true)
+        assert.equal(sourceMatchesUrl('https://cdn.test:*', 'https://cdn.test:9000/a.js', page), true)
+        assert.equal(sourceMatchesUrl('http://cdn.test', 'https://cdn.test/a.js', page), true)
+    })
+
+    it('matches paths exactly, or by prefix when the source ends in a slash', () => {
+        assert.equal(sourceMatchesUrl('https://cdn.test/js/', 'https://cdn.test/js/app.js', page), true)
+        assert.equal(sourceMatchesUrl('https://cdn.test/js/', 'https://cdn.test/css/app.css', page), false)
+        assert.equal(sourceMatchesUrl('https://cdn.test/js/app.js', 'https://cdn.test/js/app.js?v=2', page), true)
+        assert.equal(sourceMatchesUrl('https://cdn.test/js/app.js', 'https://cdn.test/js/other.js', page), false)
+        assert.equal(sourceMatchesUrl('https://cdn.test/my%20js/', 'https://cdn.test/my%20js/a.js', page), true)
+        assert.equal(sourceMatchesUrl('https://cdn.test/%7Euser/', 'https://cdn.test/~user/a.js', page), true)
+        assert.equal(sourceMatchesUrl('https://cdn.test/%zz/', 'https://cdn.test/%zz/a.js', page), true)
+    })
+
+    it('uses the page scheme for scheme-less host sources', () => {
+        assert.equal(sourceMatchesUrl('cdn.test', 'https://cdn.test/a.js', page), true)
+        assert.equal(sourceMatchesUrl('cdn.test', 'http://cdn.test/a.js', page), false)
+    })
+})
+
+describe('stripSourcePath', () => {
+    it('drops the path of a host source', () => {
+        assert.equal(stripSourcePath('https://www.google.com/recaptcha/'), 'https://www.google.com')
+        assert.equal(stripSourcePath('https://www.google.com'), 'https://www.google.com')
+        assert.equal(stripSourcePath("'self'"), "'self'")
+    })
+})
+
+describe('validateSourceExpression', () => {
+    it('accepts keywords, hashes, schemes and hosts', () => {
+        assert.equal(validateSourceExpression("'self'"), null)
+        assert.equal(validateSourceExpression("'sha256-abc+/='"), null)
+        assert.equal(validateSourceExpression('https:'), null)
+        assert.equal(validateSourceExpression('*.example.com:443/js/'), null)
+    })
+
+    it('explains unquoted keywords and unknown quoted values', () => {
+        assert.match(validateSourceExpression('self'), /single quotes/)
+        assert.match(validateSourceExpression("'selfish'"), /not a known keyword/)
+    })
+})
+
+describe('evaluateLoad', () => {
+    it('falls back to default-src and allows loads nothing governs', () => {
+        const policy = parsePolicy("default-src 'self'; img-src *")
+
+        assert.deepEqual(evaluateLoad(policy, { kind: 'resource', url: 'https://cdn.test/a.js', directive: 'script-src', page }),
+            { allowed: false, directive: 'default-src', source: null })
+        assert.deepEqual(evaluateLoad(policy, { kind: 'resource', url: 'https://cdn.test/a.png', directive: 'img-src', page }),
+            { allowed: true, directive: 'img-src', source: '*' })
+        assert.equal(evaluateLoad(parsePolicy("img-src 'self'"), { kind: 'resource', url: 'https://cdn.test/a.js', directive: 'script-src', page }).directive, null)
+    })
+
+    it('ignores host sources under strict-dynamic and trusts script-loaded scripts', () => {
+        const policy = parsePolicy("script-src 'strict-dynamic' https://cdn.test")
+        const entry = { kind: 'resource', url: 'https://cdn.test/a.js', directive: 'script-src', page }
+
+        assert.equal(evaluateLoad(policy, entry).allowed, false)
+        assert.deepEqual(evaluateLoad(policy, { ...entry, initiator: { type: 'script' } }),
+            { allowed: true, directive: 'script-src', source: "'strict-dynamic'" })
+    })
+
+    it('ignores unsafe-inline once a hash is present', () => {
+        const hash = "'sha256-abc='"
+
+        assert.equal(evaluateLoad(parsePolicy("script-src 'unsafe-inline'"), { kind: 'inline', inlineType: 'script', hash }).source, "'unsafe-inline'")
+        assert.equal(evaluateLoad(parsePolicy(`script-src 'unsafe-inline' 'sha256-other='`), { kind: 'inline', inlineType: 'script', hash }).allowed, false)
+        assert.equal(evaluateLoad(parsePolicy(`script-src ${hash}`), { kind: 'inline', inlineType: 'script', hash }).source, hash)
+    })
+
+    it('needs unsafe-hashes for event handler hashes', () => {
+        const hash = "'sha256-abc='"
+        const entry = { kind: 'inline', inlineType: 'event-handler', hash }
+
+        assert.equal(evaluateLoad(parsePolicy(`script-src ${hash}`), entry).allowed, false)
+        assert.equal(evaluateLoad(parsePolicy(`script-src 'unsafe-hashes' ${hash}`), entry).allowed, true)
+    })
+})
@@ -0,0 +1,101 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { createInlineInventory, findVaryingHashes, hashInlineContent, inlineSkeleton, pageKind } from '../scripts/inline-hashes.js'
+
+describe('hashInlineContent', () => {
+    it('hashes the exact text as a CSP hash source', () => {
+        assert.equal(hashInlineContent('alert(1)'), "'sha256-bhHHL3z2vDgxUt0W3dWQOrprscmda2Y5pLsLg4GF+pI='")
+        assert.notEqual(hashInlineContent('alert(1)'), hashInlineContent('alert(1) '))
+    })
+})
+
+describe('inlineSkeleton', () => {
+    it('groups blocks that differ only in strings, numbers, tokens and whitespace', () => {
+        const a = inlineSkeleton('window.csrf = "abc"; window.id = 12;')
+        const b = inlineSkeleton('window.csrf  = \'xyz\';\nwindow.id = 345;')
+
+        assert.equal(a, b)
+        assert.equal(inlineSkeleton('t = aGVsbG8gd29ybGQgdGhpcyBpcyBhIHRva2Vu'), 't = TOKEN')
+        assert.notEqual(inlineSkeleton('a()'), inlineSkeleton('b()'))
+    })
+})
+
+describe('pageKind', () => {
+    it('uses the host and directory of the page', () => {
+        assert.equal(pageKind('https://example.com/blog/a'), 'example.com/blog/')
+        assert.equal(pageKind('https://example.com/blog/b?x=1'), 'example.com/blog/')
+        assert.equal(pageKind('https://example.com/'), 'example.com/')
+    })
+})
+
+describe('findVaryingHashes', () => {
+    it('marks a hash that changes between pages of the same kind', () => {
+        const varying = findVaryingHashes(new Map([
+            [ 'h1', new Set([ 'https://example.com/blog/a' ]) ],
+            [ 'h2', new Set([ 'https://example.com/blog/b' ]) ],
+        ]))
+
+        assert.deepEqual([ ...varying ].sort(), [ 'h1', 'h2' ])
+    })
+
+    it('keeps same-shaped blocks that are stable on every page', () => {
+        const pages = [ 'https://example.com/', 'https://example.com/about', 'https://example.com/contact' ]
+        const varying = findVaryingHashes(new Map([
+            [ 'gtag-a', new Set(pages) ],
+            [ 'gtag-b', new Set(pages) ],
+        ]))
+
+        assert.equal(varying.size, 0)
+    })
+
+    it('keeps blocks stable within their own kind of page', () => {
+        const varying = findVaryingHashes(new Map([
+            [ 'blog', new Set([ 'https://example.com/blog/a', 'https://example.com/blog/b' ]) ],
+            [ 'shop', new Set([ 'https://example.com/shop/a', 'https://example.com/shop/b' ]) ],
+        ]))
+
+        assert.equal(varying.size, 0)
+    })
+
+    it('does not mark a block seen on a single page when it is the only page', () => {
+        assert.equal(findVaryingHashes(new Map([ [ 'h1', new Set([ 'https://example.com/' ]) ] ])).size, 0)
+    })
+})
+
+describe('createInlineInventory', () => {
+    it('counts pages once and marks varying entries', () => {
+        const inventory = createInlineInventory()
+
+        inventory.add('var token = "a1";', 'https://example.com/a')
+        inventory.add('var token = "b2";', 'https://example.com/b')
+        inventory.add('init()', 'https://example.com/a')
+        inventory.add('init()', 'https://example.com/a')
+        inventory.add('init()', 'https://example.com/b')
+
+        const entries = inventory.entries()
+        const init = entries.find(entry => entry.preview === 'init()')
+
+        assert.equal(inventory.size, 3)
+        assert.equal(init.pageCount, 2)
+        assert.equal(init.varies, false)
+        assert.equal(entries.filter(entry => entry.varies).length, 2)
+    })
+
+    it('keeps every page across a checkpoint restore', () => {
+        const inventory = createInlineInventory()
+
+        for (let i = 0; i < 8; i++) {
+            inventory.add('init()', `https://example.com/p${i}`)
+        }
+
+        inventory.add('init(1)', 'https://example.com/p0')
+
+        const restored = createInlineInventory()
+
+        restored.restore(JSON.parse(JSON.stringify(inventory)))
+        restored.add('init(2)', 'https://example.com/p1')
+
+        assert.deepEqual(restored.entries().map(entry => [ entry.preview, entry.varies ]).sort(),
+            [ [ 'init()', false ], [ 'init(1)', true ], [ 'init(2)', true ] ])
+    })
+})
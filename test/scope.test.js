@@ -0,0 +1,85 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { createScope, normalizeHostPattern, summarizeHosts } from '../scripts/scope.js'
+
+describe('normalizeHostPattern', () => {
+    it('lowercases hostnames and keeps wildcards', () => {
+        assert.equal(normalizeHostPattern(' Docs.Example.com '), 'docs.example.com')
+        assert.equal(normalizeHostPattern('*.Example.com'), '*.example.com')
+        assert.equal(normalizeHostPattern('https://docs.example.com/path'), 'docs.example.com')
+    })
+
+    it('rejects entries that are not hostnames', () => {
+        assert.equal(normalizeHostPattern('*.com'), null)
+        assert.equal(normalizeHostPattern('http://'), null)
+    })
+})
+
+describe('createScope', () => {
+    const scope = createScope({
+        baseUrl: 'https://example.com/',
+        allowedHosts: [ '*.cdn.test', 'docs.example.org' ],
+        excludePattern: '/admin/',
+    })
+
+    it('allows the base host with or without www. on the base port', () => {
+        assert.equal(scope.isAllowedHost('https://example.com/a'), true)
+        assert.equal(scope.isAllowedHost('https://www.example.com/a'), true)
+        assert.equal(scope.isAllowedHost('http://example.com/a'), true)
+        assert.equal(scope.isAllowedHost('https://example.com:8443/a'), false)
+        assert.equal(scope.isAllowedHost('https://other.com/a'), false)
+        assert.equal(scope.isAllowedHost('mailto:a@example.com'), false)
+    })
+
+    it('allows listed hosts and wildcard subdomains', () => {
+        assert.equal(scope.isAllowedHost('https://docs.example.org/'), true)
+        assert.equal(scope.isAllowedHost('https://www.docs.example.org/'), true)
+        assert.equal(scope.isAllowedHost('https://a.cdn.test/'), true)
+        assert.equal(scope.isAllowedHost('https://cdn.test/'), false)
+    })
+
+    it('rewrites the scheme of base-host links only', () => {
+        assert.equal(scope.toCrawlUrl('http://example.com/a?b=1'), 'https://example.com/a?b=1')
+        assert.equal(scope.toCrawlUrl('http://docs.example.org/a'), 'http://docs.example.org/a')
+        assert.equal(scope.toCrawlUrl('http://example.com:8080/a'), 'http://example.com:8080/a')
+        assert.equal(scope.toCrawlUrl('not a url'), 'not a url')
+    })
+
+    it('matches a non-default base port exactly', () => {
+        const local = createScope({ baseUrl: 'http://localhost:3000/' })
+
+        assert.equal(local.isAllowedHost('http://localhost:3000/a'), true)
+        assert.equal(local.isAllowedHost('http://localhost/a'), false)
+        assert.equal(local.isAllowedHost('https://localhost:3000/a'), true)
+    })
+
+    it('gives a skip reason for external, file and excluded URLs', () => {
+        assert.equal(scope.skipReason('https://example.com/page'), null)
+        assert.equal(scope.skipReason('https://other.com/page'), 'external')
+        assert.equal(scope.skipReason('https://example.com/files/a.PDF'), 'excluded')
+        assert.equal(scope.skipReason('https://example.com/download?file=a.pdf&v=2'), 'excluded')
+        assert.equal(scope.skipReason('https://example.com/admin/users'), 'excluded')
+    })
+
+    it('skips URLs that miss the include pattern', () => {
+        const blog = createScope({ baseUrl: 'https://example.com/', includePattern: '/blog/' })
+
+        assert.equal(blog.skipReason('https://example.com/BLOG/a'), null)
+        assert.equal(blog.skipReason('https://example.com/shop/a'), 'not-included')
+    })
+})
+
+describe('summarizeHosts', () => {
+    it('counts each list per host, sorted by host', () => {
+        const summary = summarizeHosts({
+            pagesScanned: [ 'https://b.test/1', 'https://a.test/1', 'https://a.test/2', 'not a url' ],
+            pagesFailed: [ 'https://b.test/2' ],
+        })
+
+        assert.deepEqual(summary, {
+            'a.test': { pagesScanned: 2, pagesFailed: 0 },
+            'b.test': { pagesScanned: 1, pagesFailed: 1 },
+        })
+        assert.deepEqual(Object.keys(summary), [ 'a.test', 'b.test' ])
+    })
+})
@@ -0,0 +1,31 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { detectListFormat, parseUrlList } from '../scripts/seeds.js'
+
+describe('parseUrlList', () => {
+    const baseUrl = 'https://example.com/'
+
+    it('detects the list format', () => {
+        assert.equal(detectListFormat(' ["/a"]'), 'json')
+        assert.equal(detectListFormat('<!DOCTYPE html><a href="/a">a</a>'), 'html')
+        assert.equal(detectListFormat('/a\n/b'), 'lines')
+    })
+
+    it('reads one URL per line, skipping comments and duplicates', () => {
+        assert.deepEqual(parseUrlList('# pages\n/a\n\n https://example.com/a \nmailto:a@example.com\n/b\n', baseUrl),
+            [ 'https://example.com/a', 'https://example.com/b' ])
+    })
+
+    it('reads JSON arrays of strings or { url } objects', () => {
+        assert.deepEqual(parseUrlList('[ "/a", { "url": "/b" }, { "title": "none" } ]', baseUrl),
+            [ 'https://example.com/a', 'https://example.com/b' ])
+        assert.throws(() => parseUrlList('[', baseUrl))
+    })
+
+    it('reads links from an HTML page', () => {
+        const html = `<html><body><a href="/a?x=1&amp;y=2">A</a><a class='b' href='/b'>B</a><a href=/c>C</a><a href="javascript:void(0)">x</a></body></html>`
+
+        assert.deepEqual(parseUrlList(html, baseUrl),
+            [ 'https://example.com/a?x=1&y=2', 'https://example.com/b', 'https://example.com/c' ])
+    })
+})
@@ -0,0 +1,31 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseRobotsSitemaps, parseSitemap } from '../scripts/sitemap.js'
+
+describe('parseRobotsSitemaps', () => {
+    it('reads Sitemap lines in any case and resolves relative ones', () => {
+        const robots = 'User-agent: *\r\nDisallow: /admin\r\nSitemap: https://example.com/sitemap.xml\nsitemap:/news.xml\n  SITEMAP : http://[bad\n'
+
+        assert.deepEqual(parseRobotsSitemaps(robots, 'https://example.com/robots.txt'),
+            [ 'https://example.com/sitemap.xml', 'https://example.com/news.xml' ])
+    })
+})
+
+describe('parseSitemap', () => {
+    it('reads urlset locations with CDATA and entities', () => {
+        const xml = `<?xml version="1.0"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+    <url><loc> https://example.com/a?x=1&amp;y=2 </loc></url>
+    <url><loc><![CDATA[https://example.com/b]]></loc></url>
+    <url><loc></loc></url>
+</urlset>`
+
+        assert.deepEqual(parseSitemap(xml), { type: 'urlset', locs: [ 'https://example.com/a?x=1&y=2', 'https://example.com/b' ] })
+    })
+
+    it('recognizes sitemap indexes', () => {
+        const xml = '<sitemapindex><sitemap><loc>https://example.com/s1.xml</loc></sitemap></sitemapindex>'
+
+        assert.deepEqual(parseSitemap(xml), { type: 'index', locs: [ 'https://example.com/s1.xml' ] })
+    })
+})
@@ -0,0 +1,36 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { matchTemplate } from '../scripts/templates.js'
+
+const analytics = {
+    id: 'analytics',
+    name: 'Analytics',
+    directives: {
+        'script-src': [ 'https://www.googletagmanager.com', 'https://www.google.com/recaptcha/' ],
+        'img-src': [ 'https://www.google-analytics.com' ],
+    },
+    optionalDirectives: {
+        'connect-src': [ 'https://*.analytics.google.com' ],
+    },
+}
+
+describe('matchTemplate', () => {
+    it('matches sources only against origins seen under the same directive', () => {
+        const result = matchTemplate(analytics, { 'img-src': new Set([ 'https://www.google.com', 'https://www.googletagmanager.com' ]) }, 'https://example.com/')
+
+        assert.equal(result.matched, false)
+        assert.equal(result.unusedSources.length, 3)
+    })
+
+    it('matches path sources on their origin and lists the unused ones', () => {
+        const result = matchTemplate(analytics, {
+            'script-src': new Set([ 'https://www.google.com' ]),
+            'connect-src': new Set([ 'https://region1.analytics.google.com' ]),
+        }, 'https://example.com/')
+
+        assert.equal(result.matched, true)
+        assert.deepEqual(result.matchedSources, [ { directive: 'script-src', source: 'https://www.google.com/recaptcha/', origins: [ 'https://www.google.com' ] } ])
+        assert.deepEqual(result.unusedSources.map(({ source }) => source), [ 'https://www.googletagmanager.com', 'https://www.google-analytics.com' ])
+        assert.deepEqual(result.seenOptionalSources, [ { directive: 'connect-src', source: 'https://*.analytics.google.com' } ])
+    })
+})
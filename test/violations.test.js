@@ -0,0 +1,43 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { normalizeViolation, parseConsoleViolation, violationMatchKey } from '../scripts/violations.js'
+
+const page = 'https://example.com/'
+
+describe('parseConsoleViolation', () => {
+    it('reads the blocked URL, directive and disposition', () => {
+        assert.deepEqual(parseConsoleViolation(`[Report Only] Refused to frame 'https://widget.test/embed' because it violates the following Content Security Policy directive: "frame-src 'self'".`),
+            { effectiveDirective: 'frame-src', blockedURI: 'https://widget.test/embed', disposition: 'report' })
+    })
+
+    it('reports inline code and eval by keyword', () => {
+        assert.equal(parseConsoleViolation(`Refused to execute inline script because it violates the following Content Security Policy directive: "script-src 'self'". Either the 'unsafe-inline' keyword, a hash ('sha256-abc='), or a nonce ('nonce-...') is required to enable inline execution.`).blockedURI, 'inline')
+        assert.equal(parseConsoleViolation(`Refused to evaluate a string as JavaScript because 'unsafe-eval' is not an allowed source of script in the following Content Security Policy directive: "script-src 'self'".`).blockedURI, 'eval')
+    })
+
+    it('returns null for messages without a directive', () => {
+        assert.equal(parseConsoleViolation('Content Security Policy of your site blocks some resources'), null)
+    })
+})
+
+describe('violationMatchKey', () => {
+    it('matches a console message to the event for the same load', () => {
+        const event = normalizeViolation({ effectiveDirective: 'script-src-elem', blockedURI: 'https://cdn.test/a.js?v=1', disposition: 'enforce' }, page)
+        const consoleText = `Refused to load the script 'https://cdn.test/a.js?v=1' because it violates the following Content Security Policy directive: "script-src 'self'".`
+
+        assert.equal(violationMatchKey({ url: page, ...parseConsoleViolation(consoleText) }), violationMatchKey(event))
+    })
+
+    it('keeps loads from other origins, directives or dispositions apart', () => {
+        const key = violationMatchKey({ url: page, effectiveDirective: 'frame-src', blockedURI: 'https://a.test/', disposition: 'enforce' })
+
+        assert.notEqual(violationMatchKey({ url: page, effectiveDirective: 'frame-src', blockedURI: 'https://b.test/', disposition: 'enforce' }), key)
+        assert.notEqual(violationMatchKey({ url: page, effectiveDirective: 'img-src', blockedURI: 'https://a.test/', disposition: 'enforce' }), key)
+        assert.notEqual(violationMatchKey({ url: page, effectiveDirective: 'frame-src', blockedURI: 'https://a.test/', disposition: 'report' }), key)
+    })
+
+    it('reduces data: and blob: URLs to their scheme', () => {
+        assert.equal(violationMatchKey({ url: page, effectiveDirective: 'img-src', blockedURI: 'data:image/png;base64,AAAA', disposition: 'enforce' }),
+            violationMatchKey({ url: page, effectiveDirective: 'img-src', blockedURI: 'data', disposition: 'enforce' }))
+    })
+})